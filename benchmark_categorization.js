@@ -0,0 +1,295 @@
+import { parseArgs } from 'util';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { writeCsv } from './csv_utils.js';
+import { loadChartOfAccounts, findAccount, getFullAccountName } from './chart_of_accounts.js';
+import { getModelSpec } from './models.js';
+import { mapPool } from './worker_pool.js';
+
+// Measures categorization against transactions a person has already booked,
+// so prompt and model changes can be compared on accuracy instead of by feel.
+//
+// bun benchmark_categorization.js run --input labeled.csv [--labels labels.json] [--label-column accountId]
+//                                     [--prompt variant.txt] [--name variant] [--output benchmark_run.json]
+//                                     [--matrix confusion.csv] [--worst 10] [--concurrency 1]
+// bun benchmark_categorization.js compare run1.json run2.json ...
+//
+// The input is anything cli.js categorize reads, with the right account id in
+// the label column, like a reviewed processed.csv. The label and every other
+// column categorization writes are hidden from the model, split transactions
+// are left out and linked transfers and fees aren't scored, since they never
+// reach the model. The optional labels file
+// overrides or adds labels and gives answers to the model's questions:
+// { "txn_123": { "accountId": "5420", "answer": "Prizes for the hackathon" } }
+// Questions without an answer in the labels file get the option naming the
+// labeled account, or the account's name when no option does.
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        input: { type: 'string' },
+        labels: { type: 'string' },
+        'label-column': { type: 'string', default: 'accountId' },
+        // A file replacing the instructions at the top of the categorization prompt
+        prompt: { type: 'string' },
+        name: { type: 'string' },
+        output: { type: 'string', default: 'benchmark_run.json' },
+        matrix: { type: 'string', default: 'benchmark_confusion.csv' },
+        worst: { type: 'string', default: '10' },
+        'min-confidence': { type: 'string', default: '0' },
+        concurrency: { type: 'string', default: '1' }
+    }
+});
+
+const chartOfAccounts = loadChartOfAccounts();
+
+// The account just below Income, Expenses and the other sections, e.g.
+// "Food" for "Expenses > Food > Meals"
+function topLevelAccountId(accountId) {
+    let account = findAccount(chartOfAccounts, accountId);
+    while (account?.parentId && findAccount(chartOfAccounts, account.parentId)?.parentId) {
+        account = findAccount(chartOfAccounts, account.parentId);
+    }
+    return account?.id ?? null;
+}
+
+function normalize(text) {
+    return String(text || '').trim().toLowerCase();
+}
+
+// What a person who knows the right account would answer
+function answerFor(question, accountId, labeledAnswer) {
+    if (labeledAnswer) return { answer: labeledAnswer, source: 'labels' };
+    const account = findAccount(chartOfAccounts, accountId);
+    const option = question.multipleChoiceOptions.find(option =>
+        normalize(option).includes(normalize(account?.name)) || normalize(account?.name).includes(normalize(option)));
+    if (option) return { answer: option, source: 'option' };
+    return { answer: getFullAccountName(chartOfAccounts, accountId) || accountId, source: 'account' };
+}
+
+// Counts of predicted accounts for each labeled account
+function confusionMatrix(results) {
+    const matrix = {};
+    for (const { label, predicted } of results) {
+        matrix[label] ||= {};
+        matrix[label][predicted] = (matrix[label][predicted] || 0) + 1;
+    }
+    return matrix;
+}
+
+function summarize(results) {
+    const correct = results.filter(result => result.correct).length;
+    const topLevelCorrect = results.filter(result => result.topLevelCorrect).length;
+    const byAccount = {};
+    for (const result of results) {
+        byAccount[result.label] ||= { correct: 0, count: 0 };
+        byAccount[result.label].count++;
+        if (result.correct) byAccount[result.label].correct++;
+    }
+    return {
+        count: results.length,
+        correct,
+        accuracy: results.length ? correct / results.length : null,
+        topLevelCorrect,
+        topLevelAccuracy: results.length ? topLevelCorrect / results.length : null,
+        questions: results.filter(result => result.question).length,
+        invalid: results.filter(result => !result.valid).length,
+        byAccount
+    };
+}
+
+// Wrong answers in the wrong part of the chart first, then the most confident
+function worstMisclassifications(results, count) {
+    return results
+        .filter(result => !result.correct)
+        .sort((a, b) => (a.topLevelCorrect - b.topLevelCorrect) || ((b.confidence ?? 0) - (a.confidence ?? 0)))
+        .slice(0, count);
+}
+
+function percent(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function accountLabel(accountId) {
+    const account = findAccount(chartOfAccounts, accountId);
+    return account ? `${accountId} ${account.name}` : String(accountId);
+}
+
+function writeConfusionMatrix(path, matrix) {
+    const labels = Object.keys(matrix).sort();
+    const predicted = [...new Set(Object.values(matrix).flatMap(row => Object.keys(row)))].sort();
+    writeCsv(path, ['label \\ predicted', ...predicted.map(accountLabel)],
+        labels.map(label => [accountLabel(label), ...predicted.map(id => matrix[label][id] || 0)]));
+}
+
+function loadLabels(path) {
+    if (!path) return {};
+    if (!existsSync(path)) {
+        throw new Error(`Labels file ${path} doesn't exist`);
+    }
+    return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+async function runBenchmark() {
+    if (!args.input) {
+        throw new Error('--input is required: transactions with a label column');
+    }
+    // index.js reads the prompt variant when it loads
+    if (args.prompt) {
+        process.env.CATEGORIZE_PROMPT_FILE = args.prompt;
+    }
+    const { loadTransactions, CATEGORIZATION_COLUMNS, categorizeUnattended } = await import('./index.js');
+
+    const labels = loadLabels(args.labels);
+    const labelColumn = args['label-column'];
+    const transactions = await loadTransactions(args.input);
+    // A split transaction has one processed.csv row per account, so there's
+    // no single right answer for it
+    const unsplit = transactions.filter(transaction => !transaction.splitIndex);
+    if (unsplit.length < transactions.length) {
+        console.log(`Leaving out ${transactions.length - unsplit.length} rows of split transactions`);
+    }
+    const labeled = unsplit
+        .map(transaction => {
+            const label = String(labels[transaction.id]?.accountId || transaction[labelColumn] || '');
+            delete transaction[labelColumn];
+            for (const column of CATEGORIZATION_COLUMNS) {
+                if (column in transaction) transaction[column] = null;
+            }
+            return { transaction, label };
+        })
+        .filter(({ label }) => label);
+    if (labeled.length === 0) {
+        throw new Error(`No transactions in ${args.input} have a "${labelColumn}" label`);
+    }
+    const unknown = labeled.filter(({ label }) => !findAccount(chartOfAccounts, label));
+    if (unknown.length > 0) {
+        throw new Error(`Labels aren't in the chart of accounts: ${[...new Set(unknown.map(({ label }) => label))].join(', ')}`);
+    }
+    console.log(`Categorizing ${labeled.length} labeled transactions`);
+
+    const scored = await mapPool(labeled, parseInt(args.concurrency), async ({ transaction, label }) => {
+        let answerSource = null;
+        const { categorization, question, answer, internal } = await categorizeUnattended(transaction, question => {
+            const answered = answerFor(question, label, labels[transaction.id]?.answer);
+            answerSource = answered.source;
+            return answered.answer;
+        }, { minConfidence: parseFloat(args['min-confidence']) });
+        if (internal) {
+            console.log(`skip  ${transaction.id}: internal ${transaction.internal_type}`);
+            return null;
+        }
+
+        const predicted = String(categorization.accountId ?? '');
+        const result = {
+            id: transaction.id,
+            memo: transaction.memo || transaction.description || '',
+            amount: transaction.amount,
+            label,
+            predicted,
+            correct: predicted === label,
+            topLevelCorrect: topLevelAccountId(predicted) === topLevelAccountId(label),
+            valid: categorization.valid,
+            confidence: categorization.confidence ?? null,
+            question: question?.thoughtfulQuestion ?? null,
+            answer,
+            answerSource
+        };
+        console.log(`${result.correct ? 'ok   ' : 'wrong'} ${transaction.id}: ${accountLabel(predicted)}` +
+            (result.correct ? '' : `, labeled ${accountLabel(label)}`));
+        return result;
+    });
+    const results = scored.filter(Boolean);
+    if (results.length < scored.length) {
+        console.log(`Left out ${scored.length - results.length} linked transfers and fees, which never reach the model`);
+    }
+
+    const summary = summarize(results);
+    const confusion = confusionMatrix(results);
+    const run = {
+        name: args.name || args.prompt || getModelSpec('categorize'),
+        model: getModelSpec('categorize'),
+        prompt: args.prompt || 'default',
+        ranAt: new Date().toISOString(),
+        input: args.input,
+        summary,
+        confusion,
+        results
+    };
+    writeFileSync(args.output, JSON.stringify(run, null, 2));
+    writeConfusionMatrix(args.matrix, confusion);
+
+    console.log(`\n${run.name} (${run.model}, ${run.prompt} prompt)`);
+    console.log(`Accuracy            ${percent(summary.accuracy)} (${summary.correct}/${summary.count})`);
+    console.log(`Top-level accuracy  ${percent(summary.topLevelAccuracy)} (${summary.topLevelCorrect}/${summary.count})`);
+    console.log(`Questions asked     ${summary.questions}, invalid after retries ${summary.invalid}`);
+
+    console.log('\nBy labeled account:');
+    for (const [accountId, { correct, count }] of Object.entries(summary.byAccount).sort()) {
+        console.log(`  ${accountLabel(accountId).padEnd(40)} ${percent(correct / count)} (${correct}/${count})`);
+    }
+
+    const worst = worstMisclassifications(results, parseInt(args.worst));
+    if (worst.length > 0) {
+        console.log('\nWorst misclassifications:');
+        for (const result of worst) {
+            console.log(`  ${result.id} ${result.amount} ${result.memo}: ${accountLabel(result.predicted)} ` +
+                `(confidence ${result.confidence ?? 'n/a'}), labeled ${accountLabel(result.label)}`);
+        }
+    }
+    console.log(`\nResults written to ${args.output}, confusion matrix to ${args.matrix}`);
+}
+
+// Side by side summary of several runs over the same transactions, and the
+// transactions they disagree on
+function compareRuns(paths) {
+    if (paths.length < 2) {
+        throw new Error('Usage: bun benchmark_categorization.js compare run1.json run2.json ...');
+    }
+    const runs = paths.map(path => JSON.parse(readFileSync(path, 'utf-8')));
+    const width = Math.max(12, ...runs.map(run => run.name.length + 2));
+    const row = (title, values) => console.log(title.padEnd(40) + values.map(value => String(value).padStart(width)).join(''));
+
+    row('', runs.map(run => run.name));
+    row('Model', runs.map(run => run.model));
+    row('Accuracy', runs.map(run => percent(run.summary.accuracy)));
+    row('Top-level accuracy', runs.map(run => percent(run.summary.topLevelAccuracy)));
+    row('Questions asked', runs.map(run => run.summary.questions));
+    row('Invalid after retries', runs.map(run => run.summary.invalid));
+
+    console.log('');
+    const accounts = [...new Set(runs.flatMap(run => Object.keys(run.summary.byAccount)))].sort();
+    for (const accountId of accounts) {
+        row(accountLabel(accountId).slice(0, 38), runs.map(run => {
+            const stats = run.summary.byAccount[accountId];
+            return stats ? percent(stats.correct / stats.count) : 'n/a';
+        }));
+    }
+
+    const byId = runs.map(run => new Map(run.results.map(result => [result.id, result])));
+    const disagreements = runs[0].results.filter(result =>
+        new Set(byId.map(results => results.get(result.id)?.predicted)).size > 1);
+    if (disagreements.length > 0) {
+        console.log('\nTransactions the runs disagree on:');
+        for (const { id, label, memo } of disagreements) {
+            const predictions = byId.map((results, index) => `${runs[index].name}: ${results.get(id)?.predicted ?? '-'}`);
+            console.log(`  ${id} ${memo} (labeled ${label}) ${predictions.join(', ')}`);
+        }
+    }
+}
+
+const [command, ...files] = positionals;
+try {
+    switch (command) {
+        case 'run':
+            await runBenchmark();
+            break;
+        case 'compare':
+            compareRuns(files);
+            break;
+        default:
+            console.error('Usage: bun benchmark_categorization.js <run|compare> [run1.json run2.json ...]');
+            process.exit(1);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
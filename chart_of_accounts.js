@@ -0,0 +1,145 @@
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+export const DEFAULT_CHART_FILE = 'chart_of_accounts.json';
+
+// Sections transactions are categorized into. Balance sheet sections (assets,
+// liabilities, netAssets) are derived from the transactions instead, with each
+// leaf naming the balance it holds, e.g. { "id": "1100", "balance": "cash" }.
+// Transfers between funds and fees paid to HCB have their own sections so
+// consolidated statements can leave them out.
+export const CATEGORIZABLE_TYPES = ['income', 'expenses', 'transfers', 'fees'];
+
+// Accounts for money moving inside HCB are marked with what they hold, e.g.
+// { "id": "6100", "internal": "transferIn" }, and the sign their amounts have
+export const INTERNAL_ACCOUNT_SIGNS = {
+    transferIn: 1,
+    transferOut: -1,
+    fiscalSponsorshipFee: -1
+};
+
+// Load the chart of accounts from a JSON file shaped like
+// { "version": "2025-01", "accounts": { "income": { "id", "name", "subAccounts" }, ... } }
+// Every account gets a parentId so full "A > B > C" names can be built, and a
+// type taken from its top-level section ("assets", "income", ...). Files without
+// a version are versioned by a hash of their contents.
+export function loadChartOfAccounts(path = process.env.CHART_OF_ACCOUNTS || DEFAULT_CHART_FILE) {
+    const content = readFileSync(path, 'utf-8');
+    const chart = JSON.parse(content);
+
+    const errors = validateAccounts(chart.accounts);
+    if (errors.length > 0) {
+        throw new Error(`Invalid chart of accounts in ${path}:\n  ${errors.join('\n  ')}`);
+    }
+
+    const byId = new Map();
+    linkAccounts(chart.accounts, null, byId);
+
+    return {
+        version: chart.version || createHash('sha256').update(content).digest('hex').slice(0, 12),
+        accounts: chart.accounts,
+        byId
+    };
+}
+
+// Checks for required names, numeric and unique ids, and numeric ordering:
+// children sort after their parent and siblings are listed in ascending order
+function validateAccounts(accounts, parent = null, seenIds = new Set(), errors = []) {
+    if (!accounts || typeof accounts !== 'object' || Object.keys(accounts).length === 0) {
+        errors.push(parent ? `Account ${parent.id} has empty subAccounts` : 'Chart has no accounts');
+        return errors;
+    }
+
+    let previousId = null;
+    for (const [key, account] of Object.entries(accounts)) {
+        const label = account.id ? `Account ${account.id} (${key})` : `Account "${key}"`;
+
+        if (typeof account.name !== 'string' || account.name.trim() === '') {
+            errors.push(`${label} is missing a name`);
+        }
+
+        if (!/^\d+$/.test(String(account.id ?? ''))) {
+            errors.push(`${label} needs a numeric id`);
+        } else {
+            const id = Number(account.id);
+            if (seenIds.has(account.id)) {
+                errors.push(`${label} reuses an id that is already taken`);
+            }
+            seenIds.add(account.id);
+
+            if (parent && /^\d+$/.test(String(parent.id)) && id <= Number(parent.id)) {
+                errors.push(`${label} must have a higher id than its parent ${parent.id}`);
+            }
+            if (previousId !== null && id <= previousId) {
+                errors.push(`${label} is out of order, it comes after ${previousId}`);
+            }
+            previousId = id;
+        }
+
+        if (account.subAccounts !== undefined) {
+            validateAccounts(account.subAccounts, account, seenIds, errors);
+        }
+    }
+    return errors;
+}
+
+function linkAccounts(accounts, parent, byId) {
+    for (const [key, account] of Object.entries(accounts)) {
+        account.parentId = parent ? parent.id : null;
+        account.type = parent ? parent.type : key;
+        byId.set(account.id, account);
+        if (account.subAccounts) {
+            linkAccounts(account.subAccounts, account, byId);
+        }
+    }
+}
+
+export function findAccount(chart, accountId) {
+    return chart.byId.get(accountId) || null;
+}
+
+// Accounts without sub-accounts, the only ones a transaction can be booked to
+export function getLeafAccounts(chart, types = CATEGORIZABLE_TYPES) {
+    return [...chart.byId.values()].filter(account => !account.subAccounts && types.includes(account.type));
+}
+
+// The leaf account marked with the given "internal" role, or null
+export function findInternalAccount(chart, role) {
+    return [...chart.byId.values()].find(account => account.internal === role && !account.subAccounts) || null;
+}
+
+// The top-level sections transactions can be categorized into, for prompts
+export function getCategorizableSections(chart) {
+    return Object.fromEntries(
+        Object.entries(chart.accounts).filter(([type]) => CATEGORIZABLE_TYPES.includes(type))
+    );
+}
+
+// Get account name from chart of accounts and format with parent hierarchy
+export function getFullAccountName(chart, accountId) {
+    const parts = [];
+    let current = findAccount(chart, accountId);
+    while (current) {
+        parts.unshift(current.name);
+        current = current.parentId ? findAccount(chart, current.parentId) : null;
+    }
+    return parts.join(' > ');
+}
+
+// Function to print chart of accounts in a formatted way
+export function printChartOfAccounts(accounts, level = 0) {
+    let output = '';
+    for (const [key, account] of Object.entries(accounts)) {
+        // Skip if not a proper account object
+        if (!account.name) continue;
+
+        // Add current account with indentation to output string
+        output += `${'    '.repeat(level)}${account.name}${account.id ? ` (id: ${account.id})` : ''}\n`;
+
+        // Recursively add sub-accounts if they exist
+        if (account.subAccounts) {
+            output += printChartOfAccounts(account.subAccounts, level + 1);
+        }
+    }
+    return output;
+}
@@ -0,0 +1,107 @@
+import { HcbClient, HcbApiError } from './hcb_client.js';
+import { startMockHcbServer } from './mock_hcb_server.js';
+
+// Runs hcb_client.js against a mock HCB server and checks that transient
+// failures are retried, Retry-After is honored, rejected tokens fail on the
+// first response and the rate limiter keeps to its window.
+//
+// bun check_hcb_client.js
+
+const ORG = { id: 'org_a', slug: 'cs-a', name: 'Counterspell A' };
+
+// Requests reach the server a few milliseconds after the limiter lets them go,
+// not always in step, so waits are checked with this much slack
+const ARRIVAL_SLACK_MS = 50;
+
+const server = startMockHcbServer({
+    '/organizations/flaky': [{ status: 503 }, { status: 502 }, { body: ORG }],
+    '/organizations/busy': [{ status: 429, headers: { 'Retry-After': '1' } }, { body: ORG }],
+    '/organizations/down': [{ status: 500 }],
+    '/organizations/unauthorized': [{ status: 401, body: { error: 'Invalid token' } }],
+    '/organizations/forbidden': [{ status: 403, body: { error: 'Not a member' } }],
+    '/organizations/org_a': [{ body: ORG }]
+});
+process.env.HCB_API_URL = server.url;
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function expectHcbApiError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error instanceof HcbApiError, `expected an HcbApiError, got ${error}`);
+        return error;
+    }
+    throw new Error('expected the request to fail');
+}
+
+const checks = {
+    async 'retries 5xx responses until one succeeds'() {
+        const org = await new HcbClient({ token: 'test' }).getOrganization('flaky');
+        assert(org.id === ORG.id, `got ${JSON.stringify(org)}`);
+        assert(server.requestsTo('/organizations/flaky').length === 3, 'expected 3 requests');
+    },
+
+    async 'waits for Retry-After on a 429'() {
+        const startedAt = Date.now();
+        await new HcbClient({ token: 'test' }).getOrganization('busy');
+        const [first, second] = server.requestsTo('/organizations/busy');
+        assert(second, 'expected the 429 to be retried');
+        assert(second.at - first.at >= 1000 - ARRIVAL_SLACK_MS, `retried after ${second.at - first.at}ms`);
+        assert(Date.now() - startedAt < 3000, 'waited longer than Retry-After asked');
+    },
+
+    async 'gives up once retries run out'() {
+        const error = await expectHcbApiError(new HcbClient({ token: 'test', maxRetries: 1 }).getOrganization('down'));
+        assert(error.kind === 'server' && error.status === 500, `got kind ${error.kind}, status ${error.status}`);
+        assert(server.requestsTo('/organizations/down').length === 2, 'expected 2 requests');
+    },
+
+    async 'fails on a 401 without retrying'() {
+        const error = await expectHcbApiError(new HcbClient({ token: 'bad' }).getOrganization('unauthorized'));
+        assert(error.kind === 'auth' && !error.retryable, `got kind ${error.kind}, retryable ${error.retryable}`);
+        assert(server.requestsTo('/organizations/unauthorized').length === 1, 'expected 1 request');
+    },
+
+    async 'fails on a 403 without retrying'() {
+        const error = await expectHcbApiError(new HcbClient({ token: 'bad' }).getOrganization('forbidden'));
+        assert(error.kind === 'auth' && !error.retryable, `got kind ${error.kind}, retryable ${error.retryable}`);
+        assert(server.requestsTo('/organizations/forbidden').length === 1, 'expected 1 request');
+    },
+
+    async 'sends the token'() {
+        await new HcbClient({ token: 'secret' }).getOrganization('org_a');
+        assert(server.requestsTo('/organizations/org_a').at(-1).authorization === 'Bearer secret', 'missing bearer token');
+    },
+
+    async 'keeps to the rate limit in any window'() {
+        const rateLimit = { maxRequests: 3, windowMs: 1000 };
+        const client = new HcbClient({ token: 'test', rateLimit });
+        const before = server.requestsTo('/organizations/org_a').length;
+        await Promise.all(Array.from({ length: 7 }, () => client.getOrganization('org_a')));
+        const times = server.requestsTo('/organizations/org_a').slice(before).map(request => request.at);
+        assert(times.length === 7, `expected 7 requests, got ${times.length}`);
+        for (let i = rateLimit.maxRequests; i < times.length; i++) {
+            const windowMs = times[i] - times[i - rateLimit.maxRequests];
+            assert(windowMs >= rateLimit.windowMs - ARRIVAL_SLACK_MS, `${rateLimit.maxRequests + 1} requests within ${windowMs}ms`);
+        }
+    }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+    try {
+        await check();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}: ${error.message}`);
+    }
+}
+server.stop();
+if (failed > 0) {
+    console.error(`${failed} checks failed`);
+    process.exit(1);
+}
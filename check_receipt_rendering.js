@@ -0,0 +1,62 @@
+import { parseArgs } from 'util';
+import { readFileSync, readdirSync } from 'fs';
+import { createRequire } from 'module';
+import { extname, join } from 'path';
+import { readPdfPages, DEFAULT_RENDER_DPI, HIGH_RES_RENDER_DPI } from './receipt_files.js';
+
+// Renders every page of the PDF fixtures the way a scanned receipt is sent to
+// the model, and fails when a page comes out blank, e.g. because pdfjs
+// couldn't load the standard fonts for text that doesn't embed them.
+//
+// bun check_receipt_rendering.js [--fixtures receipt_fixtures]
+
+// Pixels are decoded with the @napi-rs/canvas instance pdfjs renders with,
+// since a second instance replaces the Path2D pdfjs draws glyphs with
+const pdfjsRequire = createRequire(createRequire(import.meta.url).resolve('pdfjs-dist/legacy/build/pdf.mjs'));
+const { createCanvas, loadImage } = pdfjsRequire('@napi-rs/canvas');
+
+// A rendered receipt has at least this share of dark pixels
+const MIN_DARK_SHARE = 0.001;
+
+const { values: args } = parseArgs({
+    options: {
+        fixtures: { type: 'string', default: 'receipt_fixtures' }
+    }
+});
+const fixtures = args.fixtures;
+
+async function darkShare(png) {
+    const image = await loadImage(png);
+    const canvas = createCanvas(image.width, image.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    const { data } = context.getImageData(0, 0, image.width, image.height);
+    let dark = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i] + data[i + 1] + data[i + 2] < 3 * 128) dark++;
+    }
+    return dark / (image.width * image.height);
+}
+
+const pdfs = readdirSync(fixtures).filter(file => extname(file).toLowerCase() === '.pdf').sort();
+if (pdfs.length === 0) {
+    console.error(`No PDFs in ${fixtures}`);
+    process.exit(1);
+}
+
+let blank = 0;
+for (const file of pdfs) {
+    for (const dpi of [DEFAULT_RENDER_DPI, HIGH_RES_RENDER_DPI]) {
+        const pages = await readPdfPages(readFileSync(join(fixtures, file)), { dpi, useTextLayer: false });
+        for (const { pageNumber, image } of pages) {
+            const share = await darkShare(image);
+            const ok = share >= MIN_DARK_SHARE;
+            if (!ok) blank++;
+            console.log(`${ok ? 'ok   ' : 'blank'} ${file} page ${pageNumber} at ${dpi} DPI (${(share * 100).toFixed(2)}% dark)`);
+        }
+    }
+}
+if (blank > 0) {
+    console.error(`${blank} pages rendered blank`);
+    process.exit(1);
+}
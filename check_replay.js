@@ -0,0 +1,66 @@
+import { parseArgs } from 'util';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+
+// Categorizes the fixture transactions with the replay model and fails when
+// any prompt has no recording, so a change to what's sent to the model shows
+// up without calling one. After a deliberate change, record the fixtures
+// again with the model set in AI_MODEL and --record.
+//
+// bun check_replay.js [--fixtures replay_fixtures] [--record]
+//
+// The fixtures are transactions.csv, an HCB-style CSV so no columns need
+// mapping, and recordings.json with the model's responses to it.
+const { values: args } = parseArgs({
+    options: {
+        fixtures: { type: 'string', default: 'replay_fixtures' },
+        record: { type: 'boolean', default: false }
+    }
+});
+
+const transactionsPath = resolve(args.fixtures, 'transactions.csv');
+const recordingsPath = resolve(args.fixtures, 'recordings.json');
+
+// Run in a scratch directory so the review queue, corrections log and receipt
+// cache of the checkout neither leak in nor get written to
+const workDir = mkdtempSync(join(tmpdir(), 'check-replay-'));
+const env = {
+    ...process.env,
+    CHART_OF_ACCOUNTS: resolve(process.env.CHART_OF_ACCOUNTS || 'chart_of_accounts.json'),
+    RECEIPTS_DIR: join(workDir, 'receipts')
+};
+delete env.CATEGORIZE_PROMPT_FILE;
+if (args.record) {
+    rmSync(recordingsPath, { force: true });
+    env.AI_RECORD_TO = recordingsPath;
+} else {
+    if (!existsSync(recordingsPath)) {
+        console.error(`No recordings at ${recordingsPath}, make them with --record`);
+        process.exit(1);
+    }
+    for (const task of ['FIELDS', 'CATEGORIZE', 'RECEIPTS']) delete env[`AI_MODEL_${task}`];
+    env.AI_MODEL = `replay:${recordingsPath}`;
+    delete env.AI_RECORD_TO;
+}
+
+const run = Bun.spawnSync([
+    process.execPath, resolve(import.meta.dir, 'cli.js'), 'categorize',
+    '--input', transactionsPath, '--output', join(workDir, 'processed.csv'), '--batch', '--json'
+], { cwd: workDir, env });
+rmSync(workDir, { recursive: true, force: true });
+
+const log = run.stderr.toString();
+process.stderr.write(log);
+// Receipt extraction errors are logged and the run goes on, so a missing
+// recording for a receipt only shows in the log
+const missing = log.split('\n').filter(line => line.includes('No recorded response'));
+if (run.exitCode !== 0 || missing.length > 0) {
+    console.error(`\ncategorize ${run.exitCode !== 0 ? `exited with ${run.exitCode}` : 'finished'} ` +
+        `with ${missing.length} missing recordings in ${recordingsPath}`);
+    process.exit(1);
+}
+
+const summary = JSON.parse(run.stdout.toString());
+console.log(`${args.record ? 'Recorded' : 'Replayed'} ${summary.loaded} transactions: ` +
+    `${summary.categorized} categorized, ${summary.queued} queued for review`);
@@ -0,0 +1,179 @@
+import { parseArgs } from 'util';
+import { validateDateRange, selectionFilter } from './selection.js';
+
+// bun cli.js import [--org <id or slug>]... [--orgs-file orgs.json] [--children-of <id or slug>]...
+//                   [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--output all_transactions.json] [--full]
+//                   [--receipt-lookback 30]
+// bun cli.js flatten [--input all_transactions.json] [--output hcb_transactions.csv]
+// bun cli.js receipts [extract|reextract] --input <transactions> [--receipt <id or hash>]... [--extract-concurrency 4]
+// bun cli.js receipts invalidate [--input <transactions>] [--receipt <id or hash>]... [--stale]
+// bun cli.js categorize --input <transactions> [--output processed.csv] [--batch] [--min-confidence 0.8]
+// bun cli.js review [--answers review.csv | --export review.csv] [--output processed.csv]
+// bun cli.js report [--input processed.csv] [--output statement-of-activity.xlsx]
+//
+// Every command takes --dry-run to say what it would do without writing
+// anything, and --json to print a summary as JSON on stdout with the progress
+// messages on stderr. flatten, receipts, categorize and report only work on
+// the transactions matching --org, --since and --until.
+const USAGE = 'Usage: bun cli.js <import|flatten|receipts|categorize|review|report> [flags]';
+
+const DEFAULT_EXPORT = 'test_data/counterspell/all_transactions.json';
+const DEFAULT_PROCESSED = 'processed.csv';
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        input: { type: 'string' },
+        output: { type: 'string' },
+        // Org ids, slugs or names; import syncs them, the other commands filter to them
+        org: { type: 'string', multiple: true, default: [] },
+        // Only transactions dated in this range, inclusive
+        since: { type: 'string' },
+        until: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        // import
+        'orgs-file': { type: 'string' },
+        'children-of': { type: 'string', multiple: true, default: [] },
+        full: { type: 'boolean', default: false },
+        'receipt-concurrency': { type: 'string', default: '8' },
+        'receipt-lookback': { type: 'string', default: '30' },
+        // receipts and categorize
+        'extract-concurrency': { type: 'string', default: '4' },
+        profile: { type: 'string' },
+        'date-field': { type: 'string' },
+        'date-format': { type: 'string' },
+        'amount-field': { type: 'string' },
+        'amount-units': { type: 'string' },
+        'amount-sign': { type: 'string' },
+        'pin-fields': { type: 'boolean', default: false },
+        // receipts: receipt ids (txn id and url column) or content hash prefixes
+        receipt: { type: 'string', multiple: true, default: [] },
+        stale: { type: 'boolean', default: false },
+        batch: { type: 'boolean', default: false },
+        'min-confidence': { type: 'string', default: '0' },
+        // review
+        answers: { type: 'string' },
+        export: { type: 'string' }
+    }
+});
+
+const dryRun = args['dry-run'];
+const selection = { orgs: args.org, since: args.since || null, until: args.until || null };
+const fieldOverrides = {
+    dateField: args['date-field'],
+    dateFormat: args['date-format'],
+    amountField: args['amount-field'],
+    units: args['amount-units'],
+    sign: args['amount-sign']
+};
+
+const commands = {
+    async import() {
+        const { runImport } = await import('./hcb_import.js');
+        return runImport({
+            ...selection,
+            orgsFile: args['orgs-file'] || null,
+            childrenOf: args['children-of'],
+            out: args.output || null,
+            full: args.full,
+            receiptConcurrency: parseInt(args['receipt-concurrency']),
+            receiptLookbackDays: parseInt(args['receipt-lookback']),
+            dryRun
+        });
+    },
+
+    async flatten() {
+        const { convertJsonToCsv } = await import('./hcb_json_to_csv.js');
+        return convertJsonToCsv(args.input || DEFAULT_EXPORT, args.output || 'hcb_transactions.csv', {
+            filter: selectionFilter(selection),
+            dryRun
+        });
+    },
+
+    async receipts() {
+        const { extractAllReceipts, invalidateReceipts } = await import('./index.js');
+        const options = {
+            profile: args.profile || null,
+            fieldOverrides,
+            filter: selectionFilter(selection),
+            receipts: args.receipt,
+            dryRun
+        };
+        switch (action || 'extract') {
+            case 'extract':
+            case 'reextract':
+                return extractAllReceipts(requireInput(), {
+                    ...options,
+                    concurrency: parseInt(args['extract-concurrency']),
+                    force: action === 'reextract'
+                });
+            case 'invalidate':
+                return invalidateReceipts(args.input || null, { ...options, stale: args.stale });
+            default:
+                throw new Error(`Unknown receipts action "${action}", expected extract, reextract or invalidate`);
+        }
+    },
+
+    async categorize() {
+        const { processTransactions } = await import('./index.js');
+        return processTransactions(requireInput(), {
+            outputPath: args.output || DEFAULT_PROCESSED,
+            batch: args.batch,
+            minConfidence: parseFloat(args['min-confidence']),
+            extractConcurrency: parseInt(args['extract-concurrency']),
+            profile: args.profile || null,
+            fieldOverrides,
+            pinFields: args['pin-fields'],
+            filter: selectionFilter(selection),
+            dryRun
+        });
+    },
+
+    async review() {
+        const { reviewInteractively, importAnswers, exportQueue } = await import('./review.js');
+        const outputPath = args.output || DEFAULT_PROCESSED;
+        if (args.answers) return importAnswers(args.answers, { outputPath, dryRun });
+        if (args.export) return exportQueue(args.export, { dryRun });
+        return reviewInteractively({ outputPath, dryRun });
+    },
+
+    async report() {
+        const { generateStatementOfActivity } = await import('./index.js');
+        return generateStatementOfActivity(args.input || DEFAULT_PROCESSED, {
+            fieldOverrides,
+            outputPath: args.output || 'statement-of-activity.xlsx',
+            filter: selectionFilter(selection),
+            dryRun
+        });
+    }
+};
+
+function requireInput() {
+    if (!args.input) {
+        throw new Error('--input is required: a transactions CSV, an OFX/QFX file or an all_transactions.json HCB export');
+    }
+    return args.input;
+}
+
+const [command, action] = positionals;
+if (!Object.hasOwn(commands, command)) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+// Keep stdout for the JSON summary
+const log = console.log;
+if (args.json) console.log = console.error;
+
+try {
+    validateDateRange(selection);
+    const summary = await commands[command]();
+    if (args.json) {
+        log(JSON.stringify({ command, dryRun, ...summary }, null, 2));
+    }
+    if (summary?.failed?.length > 0 || summary?.failed > 0) process.exit(1);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,156 @@
+import * as XLSX from 'xlsx';
+import { roundUsd } from './money.js';
+
+// Per-organization and consolidated statements for exports covering several
+// HCB organizations. hcb_json_to_csv.js tags every row with org_id,
+// org_parent_id, org_name and org_slug. Children roll up into their parent,
+// and a parent that isn't in the export still groups its children.
+
+const currencyFormat = '_($* #,##0.00_);_($* (#,##0.00);_($* "-"??_);_(@_)';  // Excel's built-in accounting format
+
+// Organizations in the rows, keyed by org_id
+export function organizationsOf(records) {
+    const orgs = new Map();
+    for (const record of records) {
+        if (!record.org_id || orgs.has(record.org_id)) continue;
+        orgs.set(record.org_id, {
+            id: record.org_id,
+            parentId: record.org_parent_id || null,
+            name: record.org_name || record.org_slug || record.org_id
+        });
+    }
+    return orgs;
+}
+
+// The top-most ancestor of an org, which names its consolidation group
+export function consolidationRoot(orgs, orgId) {
+    const seen = new Set();
+    let current = orgId;
+    while (orgs.get(current)?.parentId && !seen.has(current)) {
+        seen.add(current);
+        current = orgs.get(current).parentId;
+    }
+    return current;
+}
+
+// Consolidation groups with their member orgs, parents before children
+export function consolidationGroups(orgs) {
+    const groups = new Map();
+    for (const org of orgs.values()) {
+        const rootId = consolidationRoot(orgs, org.id);
+        if (!groups.has(rootId)) {
+            groups.set(rootId, { id: rootId, name: orgs.get(rootId)?.name || `Org ${rootId}`, orgIds: [] });
+        }
+        groups.get(rootId).orgIds.push(org.id);
+    }
+    for (const group of groups.values()) {
+        const depth = orgId => {
+            let level = 0;
+            for (let id = orgId; id !== group.id && orgs.get(id)?.parentId; id = orgs.get(id).parentId) level++;
+            return level;
+        };
+        group.orgIds.sort((a, b) => depth(a) - depth(b) || orgs.get(a).name.localeCompare(orgs.get(b).name));
+    }
+    return groups;
+}
+
+// Excel sheet names are at most 31 characters, can't contain []:*?/\ and have
+// to be unique in the workbook
+export function uniqueSheetName(name, usedNames) {
+    const base = String(name).replace(/[[\]:*?/\\]/g, '-').trim().slice(0, 31) || 'Sheet';
+    let sheetName = base;
+    for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        sheetName = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+// Activity for the whole period with one column per org, then the eliminated
+// internal transfers and fees and the consolidated total. Entries are
+// { amount, fxVariance, accountId, org } with amount booked to the account.
+export function buildComparisonSheet(chart, orgs, entries, eliminated) {
+    const groups = consolidationGroups(orgs);
+    const orgIds = [...groups.values()].flatMap(group => group.orgIds);
+    const columns = [...orgIds, 'eliminations', 'consolidated'];
+
+    // totals[accountId][column]
+    const totals = {};
+    const fxTotals = Object.fromEntries(columns.map(column => [column, 0]));
+    const add = (accountId, column, amount) => {
+        totals[accountId] ||= {};
+        totals[accountId][column] = (totals[accountId][column] || 0) + amount;
+    };
+    for (const entry of entries) {
+        add(entry.accountId, entry.org, entry.amount);
+        fxTotals[entry.org] += entry.fxVariance;
+        if (eliminated.has(entry)) {
+            add(entry.accountId, 'eliminations', -entry.amount);
+            fxTotals.eliminations -= entry.fxVariance;
+        }
+    }
+    for (const accountTotals of Object.values(totals)) {
+        accountTotals.consolidated = columns
+            .slice(0, -1)
+            .reduce((sum, column) => sum + (accountTotals[column] || 0), 0);
+    }
+    fxTotals.consolidated = columns.slice(0, -1).reduce((sum, column) => sum + fxTotals[column], 0);
+
+    const rows = [];
+    const bold = new Set();
+    const sumAccount = (account, column) => (totals[account.id]?.[column] || 0) +
+        Object.values(account.subAccounts || {}).reduce((sum, subAccount) => sum + sumAccount(subAccount, column), 0);
+
+    function addAccountRows(account, level) {
+        rows.push(['  '.repeat(level) + account.name, account.id, ...columns.map(column => roundUsd(sumAccount(account, column)))]);
+        for (const subAccount of Object.values(account.subAccounts || {})) {
+            addAccountRows(subAccount, level + 1);
+        }
+    }
+    const addTotalRow = (label, values) => {
+        bold.add(rows.length);
+        rows.push([label, '', ...values.map(roundUsd)]);
+    };
+
+    bold.add(0);
+    rows.push(['Account', 'Account ID', ...orgIds.map(id => orgs.get(id).name), 'Eliminations', 'Consolidated']);
+    const addSection = (type, title) => {
+        if (!chart.accounts[type]) return columns.map(() => 0);
+        bold.add(rows.length);
+        rows.push([title.toUpperCase(), '', ...columns.map(() => '')]);
+        addAccountRows(chart.accounts[type], 1);
+        const sectionTotals = columns.map(column => sumAccount(chart.accounts[type], column));
+        addTotalRow(`Total ${title}`, sectionTotals);
+        rows.push(['', '', ...columns.map(() => '')]);
+        return sectionTotals;
+    };
+    const income = addSection('income', 'Income');
+    const expenses = addSection('expenses', 'Expenses');
+    const fees = addSection('fees', 'Fiscal Sponsorship Fees');
+    const fxRow = columns.map(column => fxTotals[column]);
+    addTotalRow('Realized FX Variance', fxRow);
+    rows.push(['', '', ...columns.map(() => '')]);
+    const netIncome = columns.map((column, i) => income[i] + expenses[i] + fees[i] + fxRow[i]);
+    addTotalRow('Net Income', netIncome);
+    if (chart.accounts.transfers) {
+        rows.push(['', '', ...columns.map(() => '')]);
+        const transfers = addSection('transfers', 'Inter-fund Transfers');
+        addTotalRow('Change in Net Assets', netIncome.map((net, i) => net + transfers[i]));
+    }
+
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws['!cols'] = [{ wch: 40 }, { wch: 10 }, ...columns.map(() => ({ wch: 15 }))];
+
+    const headerStyle = { font: { bold: true }, fill: { fgColor: { rgb: "CCCCCC" } } };
+    rows.forEach((row, i) => {
+        row.forEach((value, j) => {
+            const cell = ws[XLSX.utils.encode_cell({ r: i, c: j })];
+            if (!cell) return;
+            if (bold.has(i)) cell.s = headerStyle;
+            if (j >= 2 && typeof value === 'number') cell.z = currencyFormat;
+        });
+    });
+
+    return ws;
+}
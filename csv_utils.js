@@ -0,0 +1,33 @@
+import { parse } from 'csv-parse/sync';
+import { readFileSync, writeFileSync } from 'fs';
+
+// Helper function for CSV operations
+export function escapeCsvField(field) {
+    if (field === null || field === undefined) return '';
+    const stringField = String(field);
+    if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
+        return `"${stringField.replace(/"/g, '""')}"`;
+    }
+    return stringField;
+}
+
+// Common CSV parse options
+export const CSV_PARSE_OPTIONS = {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    quote: '"',
+    escape: '"',
+    relaxQuotes: true
+};
+
+export function readCsv(path) {
+    return parse(readFileSync(path, 'utf-8'), CSV_PARSE_OPTIONS);
+}
+
+// Write a header row and value rows (arrays in header order)
+export function writeCsv(path, header, rows) {
+    const lines = [header, ...rows].map(row => row.map(escapeCsvField).join(','));
+    writeFileSync(path, lines.join('\n') + '\n');
+}
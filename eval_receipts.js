@@ -0,0 +1,259 @@
+import { parseArgs } from 'util';
+import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { basename, extname, join } from 'path';
+import { normalizeCurrency } from './money.js';
+import { mapPool } from './worker_pool.js';
+
+// Measures receipt extraction against receipts whose details are known, so a
+// prompt or model change can be checked before it's used on real books.
+//
+// bun eval_receipts.js run [--fixtures receipt_fixtures] [--output eval_run.json] [--concurrency 4]
+// bun eval_receipts.js diff before.json after.json
+//
+// A fixture is a receipt (PDF or image) next to a JSON file with the same
+// name holding what should be extracted from it:
+// { "vendor_name": "Pizza Hut", "currency": "USD", "date": "2024-09-20",
+//   "total_amount_subunits": 9000,
+//   "items_purchased": [{ "memo": "Large pizza", "amount_subunits": 6000 }],
+//   "context": { "memo": "PIZZA HUT #123" } }
+// context is passed to the model like a transaction would be. Fields left out
+// of the JSON aren't scored for that receipt.
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        fixtures: { type: 'string', default: 'receipt_fixtures' },
+        output: { type: 'string', default: 'eval_run.json' },
+        concurrency: { type: 'string', default: '4' }
+    }
+});
+
+const FIELDS = ['total', 'currency', 'date', 'vendor'];
+
+// Vendor names match when this similar after normalizing, and line items when
+// their memos are and their amounts are equal
+const VENDOR_SIMILARITY = 0.8;
+const ITEM_MEMO_SIMILARITY = 0.6;
+
+const LEGAL_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'co', 'corp', 'corporation', 'company', 'gmbh']);
+
+// Lowercase words, without the legal suffixes receipts add or drop
+function nameTokens(name) {
+    return String(name || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !LEGAL_SUFFIXES.has(token));
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 0 to 1, where 1 is the same name. An extracted name with every word of the
+// expected one, like "Pizza Hut #1234" for "Pizza Hut", counts as the same.
+function nameSimilarity(expected, actual) {
+    const expectedTokens = nameTokens(expected);
+    const actualTokens = nameTokens(actual);
+    if (expectedTokens.length === 0 || actualTokens.length === 0) return 0;
+    if (expectedTokens.every(token => actualTokens.includes(token))) return 1;
+    const a = expectedTokens.join('');
+    const b = actualTokens.join('');
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Expected line items found in the extraction, each extracted item matching
+// at most one expected item
+function matchLineItems(expectedItems, actualItems) {
+    const unused = [...(actualItems || [])];
+    let matched = 0;
+    for (const item of expectedItems) {
+        const index = unused.findIndex(candidate => candidate.amount_subunits === item.amount_subunits &&
+            nameSimilarity(item.memo, candidate.memo) >= ITEM_MEMO_SIMILARITY);
+        if (index !== -1) {
+            unused.splice(index, 1);
+            matched++;
+        }
+    }
+    return matched;
+}
+
+// { fields: { total: { expected, actual, correct } ... }, items: { matched, expected } }
+// for one receipt. A receipt that wasn't read gets every field wrong.
+function scoreExtraction(truth, extracted) {
+    const result = extracted?.status === 'success' ? extracted.receipt : {};
+    const fields = {};
+    if (truth.total_amount_subunits !== undefined) {
+        fields.total = { expected: truth.total_amount_subunits, actual: result.total_amount_subunits ?? null };
+        fields.total.correct = fields.total.actual === fields.total.expected;
+    }
+    if (truth.currency) {
+        fields.currency = { expected: truth.currency, actual: result.currency ?? null };
+        fields.currency.correct = !!result.currency && normalizeCurrency(result.currency) === normalizeCurrency(truth.currency);
+    }
+    if (truth.date) {
+        fields.date = { expected: truth.date, actual: result.date ?? null };
+        fields.date.correct = !!result.date && String(result.date).slice(0, 10) === truth.date;
+    }
+    if (truth.vendor_name) {
+        fields.vendor = { expected: truth.vendor_name, actual: result.vendor_name ?? null };
+        fields.vendor.correct = nameSimilarity(truth.vendor_name, result.vendor_name) >= VENDOR_SIMILARITY;
+    }
+    const items = truth.items_purchased ?
+        { matched: matchLineItems(truth.items_purchased, result.items_purchased), expected: truth.items_purchased.length } :
+        null;
+    return { fields, items };
+}
+
+// Accuracy per field and line item recall over every scored receipt
+function summarize(receipts) {
+    const summary = {};
+    for (const field of FIELDS) {
+        const scored = receipts.filter(receipt => receipt.fields[field]);
+        const correct = scored.filter(receipt => receipt.fields[field].correct).length;
+        summary[field] = { correct, count: scored.length, accuracy: scored.length ? correct / scored.length : null };
+    }
+    const withItems = receipts.filter(receipt => receipt.items);
+    const matched = withItems.reduce((sum, receipt) => sum + receipt.items.matched, 0);
+    const expected = withItems.reduce((sum, receipt) => sum + receipt.items.expected, 0);
+    summary.itemRecall = { correct: matched, count: expected, accuracy: expected ? matched / expected : null };
+    summary.errors = receipts.filter(receipt => receipt.error).length;
+    return summary;
+}
+
+// Receipts in the fixtures directory that have a ground truth JSON file
+function loadFixtures(directory) {
+    if (!existsSync(directory)) {
+        throw new Error(`Fixtures directory ${directory} doesn't exist`);
+    }
+    const files = readdirSync(directory);
+    return files
+        .filter(file => extname(file).toLowerCase() !== '.json')
+        .map(file => ({ file, truthFile: `${basename(file, extname(file))}.json` }))
+        .filter(({ truthFile }) => files.includes(truthFile))
+        .sort((a, b) => a.file.localeCompare(b.file))
+        .map(({ file, truthFile }) => ({
+            name: file,
+            bytes: readFileSync(join(directory, file)),
+            truth: JSON.parse(readFileSync(join(directory, truthFile), 'utf-8'))
+        }));
+}
+
+function formatAccuracy({ correct, count, accuracy }) {
+    return accuracy === null ? 'n/a' : `${(accuracy * 100).toFixed(1)}% (${correct}/${count})`;
+}
+
+function printSummary(summary) {
+    for (const field of [...FIELDS, 'itemRecall']) {
+        console.log(`${field.padEnd(12)} ${formatAccuracy(summary[field])}`);
+    }
+    if (summary.errors > 0) {
+        console.log(`${summary.errors} receipts failed to extract`);
+    }
+}
+
+async function runEval() {
+    // index.js picks its models when it loads, so it's only loaded for a run
+    const { aiExtractReceiptDetails, receiptExtractionKey } = await import('./index.js');
+    const fixtures = loadFixtures(args.fixtures);
+    if (fixtures.length === 0) {
+        throw new Error(`No receipts with a ground truth JSON file in ${args.fixtures}`);
+    }
+    console.log(`Extracting ${fixtures.length} receipts from ${args.fixtures}`);
+
+    const receipts = await mapPool(fixtures, parseInt(args.concurrency), async ({ name, bytes, truth }) => {
+        let extracted = null;
+        let error = null;
+        try {
+            extracted = await aiExtractReceiptDetails(bytes, truth.context || {});
+            if (extracted.status !== 'success') error = `${extracted.status}: ${extracted.detail}`;
+        } catch (err) {
+            error = err.message;
+        }
+        const score = scoreExtraction(truth, extracted);
+        const wrong = Object.entries(score.fields).filter(([, field]) => !field.correct).map(([field]) => field);
+        console.log(`${name}: ${error ? `error: ${error}` : wrong.length > 0 ? `wrong ${wrong.join(', ')}` : 'ok'}`);
+        return { name, ...score, error, extracted };
+    });
+
+    const { model, promptVersion } = receiptExtractionKey();
+    const summary = summarize(receipts);
+    writeFileSync(args.output, JSON.stringify({
+        model,
+        promptVersion,
+        ranAt: new Date().toISOString(),
+        fixtures: args.fixtures,
+        summary,
+        receipts
+    }, null, 2));
+
+    console.log(`\n${model}, prompt version ${promptVersion}:`);
+    printSummary(summary);
+    console.log(`\nResults written to ${args.output}`);
+}
+
+// Compare two runs field by field and receipt by receipt. Exits non-zero when
+// the second run gets anything wrong that the first got right.
+function diffRuns(beforePath, afterPath) {
+    if (!beforePath || !afterPath) {
+        throw new Error('Usage: bun eval_receipts.js diff before.json after.json');
+    }
+    const before = JSON.parse(readFileSync(beforePath, 'utf-8'));
+    const after = JSON.parse(readFileSync(afterPath, 'utf-8'));
+    console.log(`${beforePath}: ${before.model}, prompt version ${before.promptVersion}`);
+    console.log(`${afterPath}: ${after.model}, prompt version ${after.promptVersion}\n`);
+
+    for (const field of [...FIELDS, 'itemRecall']) {
+        const a = before.summary[field];
+        const b = after.summary[field];
+        const change = a.accuracy !== null && b.accuracy !== null ?
+            ` (${b.accuracy >= a.accuracy ? '+' : ''}${((b.accuracy - a.accuracy) * 100).toFixed(1)} points)` :
+            '';
+        console.log(`${field.padEnd(12)} ${formatAccuracy(a)} -> ${formatAccuracy(b)}${change}`);
+    }
+
+    const beforeByName = new Map(before.receipts.map(receipt => [receipt.name, receipt]));
+    let regressions = 0;
+    for (const receipt of after.receipts) {
+        const previous = beforeByName.get(receipt.name);
+        if (!previous) continue;
+        for (const field of FIELDS) {
+            const was = previous.fields[field];
+            const now = receipt.fields[field];
+            if (!was || !now || was.correct === now.correct) continue;
+            if (was.correct) regressions++;
+            console.log(`${was.correct ? 'worse' : 'better'} ${receipt.name} ${field}: ` +
+                `${JSON.stringify(was.actual)} -> ${JSON.stringify(now.actual)} (expected ${JSON.stringify(now.expected)})`);
+        }
+        if (previous.items && receipt.items && previous.items.matched !== receipt.items.matched) {
+            if (receipt.items.matched < previous.items.matched) regressions++;
+            console.log(`${receipt.items.matched < previous.items.matched ? 'worse' : 'better'} ${receipt.name} line items: ` +
+                `${previous.items.matched} -> ${receipt.items.matched} of ${receipt.items.expected}`);
+        }
+    }
+    return regressions;
+}
+
+const [command, ...files] = positionals;
+try {
+    switch (command) {
+        case 'run':
+            await runEval();
+            break;
+        case 'diff':
+            if (diffRuns(...files) > 0) process.exit(1);
+            break;
+        default:
+            console.error('Usage: bun eval_receipts.js <run|diff> [before.json after.json]');
+            process.exit(1);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
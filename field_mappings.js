@@ -0,0 +1,112 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { subunitsToMajor } from './money.js';
+import { DATE_FORMATS, parseDateWithFormat, parseDecimal } from './importers.js';
+
+// Which columns of an unknown CSV hold the date and amount, and how to read
+// them, saved by a hash of the header set so the model is asked once per
+// format. A mapping looks like
+// { "dateField": "Date", "dateFormat": "MM/DD/YYYY", "amountField": "Amount",
+//   "units": "major", "sign": "negativeIsOutflow" }
+// Pinned mappings were set by a person and are never replaced by a guess.
+export const FIELD_MAPPINGS_FILE = 'field_mappings.json';
+
+export const FIELD_MAPPING_KEYS = ['dateField', 'dateFormat', 'amountField', 'units', 'sign'];
+export const AMOUNT_UNITS = ['major', 'subunits'];
+export const AMOUNT_SIGNS = ['negativeIsOutflow', 'positiveIsOutflow'];
+
+// Rows checked against a mapping before it's accepted
+const SAMPLE_ROWS = 20;
+
+export function headersHash(headers) {
+    return createHash('sha256').update(JSON.stringify([...headers].sort())).digest('hex').slice(0, 16);
+}
+
+function loadFieldMappings() {
+    if (!existsSync(FIELD_MAPPINGS_FILE)) return {};
+    return JSON.parse(readFileSync(FIELD_MAPPINGS_FILE, 'utf-8'));
+}
+
+// { headers, mapping, pinned, savedAt } for this header set, or null
+export function cachedFieldMapping(headers) {
+    return loadFieldMappings()[headersHash(headers)] || null;
+}
+
+export function saveFieldMapping(headers, mapping, { pinned = false } = {}) {
+    const mappings = loadFieldMappings();
+    mappings[headersHash(headers)] = {
+        headers,
+        mapping: Object.fromEntries(FIELD_MAPPING_KEYS.map(key => [key, mapping[key]])),
+        pinned,
+        savedAt: new Date().toISOString()
+    };
+    writeFileSync(FIELD_MAPPINGS_FILE, JSON.stringify(mappings, null, 2));
+}
+
+// The record's date as a Date, read with the mapping's date format when it has
+// one. Returns null when the field is empty and throws when it can't be read.
+export function recordDate(record, { dateField, dateFormat }) {
+    const value = dateField ? record[dateField] : null;
+    if (!value) return null;
+    if (!dateFormat) return new Date(value);
+    const day = parseDateWithFormat(value, dateFormat);
+    if (!day) {
+        throw new Error(`"${value}" in ${dateField} isn't a ${dateFormat} date`);
+    }
+    return new Date(day);
+}
+
+// The record's amount in the currency's major units (dollars for USD),
+// negative for money going out. Mappings without units are in subunits, like
+// HCB's amount_cents. Returns null when the field is empty.
+export function recordAmount(record, { amountField, units = 'subunits', sign = 'negativeIsOutflow' }, currency) {
+    const value = amountField ? record[amountField] : null;
+    if (value === undefined || value === null || value === '') return null;
+    let amount = parseDecimal(value);
+    if (isNaN(amount)) return null;
+    if (sign === 'positiveIsOutflow') amount = -amount;
+    return units === 'subunits' ? subunitsToMajor(amount, currency) : amount;
+}
+
+// Problems with a mapping, checked against the first rows of the file. Empty
+// when the mapping is usable.
+export function validateFieldMapping(mapping, headers, records) {
+    const errors = [];
+    for (const key of ['dateField', 'amountField']) {
+        if (!mapping[key]) {
+            errors.push(`${key} is missing`);
+        } else if (!headers.includes(mapping[key])) {
+            errors.push(`${key} "${mapping[key]}" is not one of the headers`);
+        }
+    }
+    if (!DATE_FORMATS.includes(mapping.dateFormat)) errors.push(`dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+    if (!AMOUNT_UNITS.includes(mapping.units)) errors.push(`units must be one of ${AMOUNT_UNITS.join(', ')}`);
+    if (!AMOUNT_SIGNS.includes(mapping.sign)) errors.push(`sign must be one of ${AMOUNT_SIGNS.join(', ')}`);
+    if (errors.length > 0) return errors;
+
+    const sample = records.slice(0, SAMPLE_ROWS);
+    const badDates = sample
+        .map(record => record[mapping.dateField])
+        .filter(value => value && !parseDateWithFormat(value, mapping.dateFormat));
+    if (badDates.length > 0) {
+        errors.push(`${mapping.dateField} values like "${badDates[0]}" aren't ${mapping.dateFormat} dates`);
+    }
+
+    const rawAmounts = sample.map(record => record[mapping.amountField]).filter(value => value !== undefined && value !== '');
+    const badAmounts = rawAmounts.filter(value => isNaN(parseDecimal(value)));
+    if (badAmounts.length > 0) {
+        errors.push(`${mapping.amountField} values like "${badAmounts[0]}" aren't amounts`);
+    }
+    const amounts = rawAmounts.map(parseDecimal).filter(amount => !isNaN(amount));
+    if (mapping.units === 'subunits' && amounts.some(amount => !Number.isInteger(amount))) {
+        errors.push(`${mapping.amountField} has fractional amounts, so it isn't in subunits like cents`);
+    }
+    if (mapping.units === 'major' && /cents|subunits/i.test(mapping.amountField)) {
+        errors.push(`${mapping.amountField} is named as subunits, not major units`);
+    }
+    if (mapping.sign === 'negativeIsOutflow' && amounts.length > 0 && amounts.every(amount => amount >= 0) &&
+        /debit|withdraw|spent|charge|payment/i.test(mapping.amountField)) {
+        errors.push(`${mapping.amountField} only has positive amounts for money going out, so positive is outflow`);
+    }
+    return errors;
+}
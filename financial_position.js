@@ -0,0 +1,186 @@
+import * as XLSX from 'xlsx';
+import { roundUsd, formatUsd } from './money.js';
+import { findAccount, CATEGORIZABLE_TYPES } from './chart_of_accounts.js';
+import { transactionKind } from './transfers.js';
+
+// Statement of financial position (balance sheet) as of the last transaction,
+// derived from the same categorized transactions as the statement of activity.
+//
+// - Cash per fund is the sum of its settled transactions.
+// - Pending incoming invoices and donations are receivables, pending outgoing
+//   reimbursements and other payments are payables.
+// - Net assets with donor restriction are gifts booked to income accounts
+//   marked "donorRestricted" in the chart, less what the fund has spent since:
+//   a fund's spending releases its restricted gifts first.
+//
+// Entries are { date, cardAmount (USD), accountId, record } where record is
+// the processed.csv row. Declined transactions are left out.
+
+const currencyFormat = '_($* #,##0.00_);_($* (#,##0.00);_($* "-"??_);_(@_)';  // Excel's built-in accounting format
+
+const isTrue = value => String(value).trim().toLowerCase() === 'true';
+
+function fundName(record) {
+    return record.org_name || record.org_slug || record.org_id || 'All funds';
+}
+
+// Balances keyed by the chart's "balance" names, plus cash per fund
+function computeBalances(entries, chart) {
+    const balances = {
+        cash: 0,
+        invoicesReceivable: 0,
+        donationsReceivable: 0,
+        accountsPayable: 0,
+        reimbursementsPayable: 0,
+        withoutDonorRestrictions: 0,
+        withDonorRestrictions: 0
+    };
+    const cashByFund = new Map();
+    const funds = new Map();
+    let uncategorized = 0;
+
+    for (const { cardAmount: amount, accountId, record } of entries) {
+        if (isNaN(amount) || isTrue(record.declined)) continue;
+        const fund = fundName(record);
+
+        if (isTrue(record.pending)) {
+            const kind = transactionKind(record);
+            if (amount > 0) {
+                balances[kind === 'donation' ? 'donationsReceivable' : 'invoicesReceivable'] += amount;
+            } else {
+                balances[['reimbursement', 'expense_payout'].includes(kind) ? 'reimbursementsPayable' : 'accountsPayable'] -= amount;
+            }
+        } else {
+            balances.cash += amount;
+            cashByFund.set(fund, (cashByFund.get(fund) || 0) + amount);
+        }
+
+        // Net assets only change through categorized accounts
+        const account = findAccount(chart, accountId);
+        if (!account || !CATEGORIZABLE_TYPES.includes(account.type)) {
+            uncategorized += amount;
+            continue;
+        }
+        const totals = funds.get(fund) || { restrictedIncome: 0, spent: 0, net: 0 };
+        totals.net += amount;
+        if (account.donorRestricted) totals.restrictedIncome += amount;
+        if (['expenses', 'fees'].includes(account.type)) totals.spent -= amount;
+        funds.set(fund, totals);
+    }
+
+    for (const { restrictedIncome, spent, net } of funds.values()) {
+        const restricted = Math.max(0, restrictedIncome - spent);
+        balances.withDonorRestrictions += restricted;
+        balances.withoutDonorRestrictions += net - restricted;
+    }
+
+    for (const key of Object.keys(balances)) balances[key] = roundUsd(balances[key]);
+    for (const [fund, cash] of cashByFund) cashByFund.set(fund, roundUsd(cash));
+    return { balances, cashByFund, uncategorized: roundUsd(uncategorized) };
+}
+
+// Chart accounts holding each balance, e.g. { cash: account 1100, ... }
+function balanceAccounts(chart) {
+    const accounts = {};
+    for (const account of chart.byId.values()) {
+        if (account.balance) accounts[account.balance] = account;
+    }
+    return accounts;
+}
+
+export function buildStatementOfFinancialPosition(entries, chart) {
+    const { balances, cashByFund, uncategorized } = computeBalances(entries, chart);
+
+    const accounts = balanceAccounts(chart);
+    const missing = Object.keys(balances).filter(balance => !accounts[balance] && balances[balance] !== 0);
+    if (missing.length > 0) {
+        throw new Error(`Chart of accounts has no account with "balance" set to ${missing.join(', ')}`);
+    }
+
+    const asOf = entries
+        .map(({ date }) => date)
+        .filter(date => date && !isNaN(date))
+        .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+    const rows = [];
+    const styles = [];
+    const addRow = (row, style = null) => {
+        rows.push(row);
+        styles.push(style);
+    };
+
+    // Sums the balances under an account, listing each account (and each
+    // fund's cash) on its own row
+    function addAccountRows(account, level) {
+        const startIndex = rows.length;
+        addRow(['  '.repeat(level) + account.name, account.id, 0], account.subAccounts ? 'subtotal' : null);
+
+        let total = 0;
+        if (account.subAccounts) {
+            for (const subAccount of Object.values(account.subAccounts)) {
+                total += addAccountRows(subAccount, level + 1);
+            }
+        } else {
+            total = balances[account.balance] || 0;
+            if (account.balance === 'cash' && cashByFund.size > 1) {
+                for (const [fund, cash] of [...cashByFund].sort(([a], [b]) => a.localeCompare(b))) {
+                    addRow(['  '.repeat(level + 1) + fund, '', cash]);
+                }
+            }
+        }
+        rows[startIndex][2] = roundUsd(total);
+        return total;
+    }
+
+    function addSection(title, type) {
+        const section = chart.accounts[type];
+        addRow([title.toUpperCase(), '', ''], 'header');
+        const total = section ? addAccountRows(section, 1) : 0;
+        addRow([`Total ${title}`, '', roundUsd(total)], 'header');
+        addRow(['', '', '']);
+        return roundUsd(total);
+    }
+
+    addRow([`Statement of Financial Position as of ${asOf ? asOf.toISOString().split('T')[0] : 'n/a'}`, '', ''], 'header');
+    addRow(['Account', 'Account ID', 'Balance'], 'header');
+    const totalAssets = addSection('Assets', 'assets');
+    const totalLiabilities = addSection('Liabilities', 'liabilities');
+    const totalNetAssets = addSection('Net Assets', 'netAssets');
+    addRow(['Total Liabilities and Net Assets', '', roundUsd(totalLiabilities + totalNetAssets)], 'header');
+    addRow(['', '', '']);
+
+    // Ending cash worked out from the change in net assets has to match the
+    // cash actually settled. A difference means uncategorized transactions.
+    const changeInNetAssets = roundUsd(balances.withoutDonorRestrictions + balances.withDonorRestrictions);
+    const receivables = roundUsd(balances.invoicesReceivable + balances.donationsReceivable);
+    const payables = roundUsd(balances.accountsPayable + balances.reimbursementsPayable);
+    const derivedCash = roundUsd(changeInNetAssets - receivables + payables);
+    addRow(['CASH RECONCILIATION', '', ''], 'header');
+    addRow(['  Change in net assets', '', changeInNetAssets]);
+    addRow(['  Less increase in receivables', '', -receivables]);
+    addRow(['  Plus increase in payables', '', payables]);
+    addRow(['  Ending cash from activity', '', derivedCash], 'subtotal');
+    addRow(['  Ending cash from settled transactions', '', balances.cash], 'subtotal');
+    addRow(['  Difference (uncategorized transactions)', '', roundUsd(balances.cash - derivedCash)], 'header');
+
+    if (roundUsd(totalAssets - totalLiabilities - totalNetAssets) !== 0) {
+        console.warn(`Statement of financial position is out of balance by ${formatUsd(uncategorized)} of uncategorized transactions`);
+    }
+
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws['!cols'] = [{ wch: 45 }, { wch: 10 }, { wch: 15 }];
+
+    const headerStyle = { font: { bold: true }, fill: { fgColor: { rgb: "CCCCCC" } } };
+    const totalStyle = { font: { bold: true } };
+    rows.forEach((row, i) => {
+        row.forEach((value, j) => {
+            const cell = ws[XLSX.utils.encode_cell({ r: i, c: j })];
+            if (!cell) return;
+            if (styles[i] === 'header') cell.s = headerStyle;
+            if (styles[i] === 'subtotal') cell.s = totalStyle;
+            if (j === 2 && typeof value === 'number') cell.z = currencyFormat;
+        });
+    });
+
+    return ws;
+}
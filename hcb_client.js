@@ -0,0 +1,162 @@
+// Shared client for the HCB API. Requests go through a sliding-window rate
+// limiter and are retried with exponential backoff when the failure is
+// transient (network errors, 408, 429 and 5xx). Auth errors fail straight
+// away. Point HCB_API_URL at a local server to run against a mock.
+export const DEFAULT_HCB_API_URL = 'https://hcb.hackclub.com/api/v4';
+
+// HCB allows 900 requests per 5 minutes
+const DEFAULT_RATE_LIMIT = { maxRequests: 900, windowMs: 5 * 60 * 1000 };
+
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// A failed HCB request. kind is one of 'auth', 'not_found', 'rate_limited',
+// 'server', 'client' or 'network'; retryable says whether trying again could
+// help.
+export class HcbApiError extends Error {
+    constructor(message, { kind, status = null, url, body = null, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'HcbApiError';
+        this.kind = kind;
+        this.status = status;
+        this.url = url;
+        this.body = body;
+        this.retryable = retryable;
+    }
+}
+
+function errorKind(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500 || status === 408) return 'server';
+    return 'client';
+}
+
+// Retry-After is either seconds or an HTTP date. Returns milliseconds, or null.
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Allows at most maxRequests in any windowMs, unlike a bucket that refills
+// all at once and lets two full bursts through back to back
+export class SlidingWindowRateLimiter {
+    constructor({ maxRequests, windowMs }) {
+        this.maxRequests = maxRequests;
+        this.windowMs = windowMs;
+        this.timestamps = [];
+        this.queue = Promise.resolve();
+    }
+
+    // Resolves when a request may be sent. Callers are served in order.
+    acquire() {
+        const turn = this.queue.then(async () => {
+            for (;;) {
+                const now = Date.now();
+                while (this.timestamps.length > 0 && this.timestamps[0] <= now - this.windowMs) {
+                    this.timestamps.shift();
+                }
+                if (this.timestamps.length < this.maxRequests) {
+                    this.timestamps.push(now);
+                    return;
+                }
+                await sleep(this.timestamps[0] + this.windowMs - now);
+            }
+        });
+        this.queue = turn;
+        return turn;
+    }
+}
+
+export class HcbClient {
+    constructor({
+        token = process.env.HCB_TOKEN,
+        baseUrl = process.env.HCB_API_URL || DEFAULT_HCB_API_URL,
+        rateLimit = DEFAULT_RATE_LIMIT,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        fetch = globalThis.fetch
+    } = {}) {
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.rateLimiter = new SlidingWindowRateLimiter(rateLimit);
+        this.maxRetries = maxRetries;
+        this.fetch = fetch;
+    }
+
+    // GET a path under the API and return its JSON, retrying transient
+    // failures. Throws HcbApiError once retries run out or on a permanent
+    // failure.
+    async get(path, params = {}) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) url.searchParams.set(key, value);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let retryAfterMs = null;
+            await this.rateLimiter.acquire();
+            try {
+                const response = await this.fetch(url, {
+                    headers: { 'Authorization': `Bearer ${this.token}` }
+                });
+                if (response.ok) {
+                    return await response.json();
+                }
+
+                const kind = errorKind(response.status);
+                error = new HcbApiError(`HCB API ${response.status} for ${url.pathname}`, {
+                    kind,
+                    status: response.status,
+                    url: String(url),
+                    body: await response.text().catch(() => null),
+                    retryable: ['rate_limited', 'server'].includes(kind)
+                });
+                retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            } catch (cause) {
+                if (cause instanceof HcbApiError) throw cause;
+                error = new HcbApiError(`HCB API request to ${url.pathname} failed: ${cause.message}`, {
+                    kind: 'network',
+                    url: String(url),
+                    retryable: true,
+                    cause
+                });
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries) {
+                throw error;
+            }
+            const backoffMs = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+            const delayMs = retryAfterMs ?? backoffMs;
+            console.warn(`${error.message}, retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1} of ${this.maxRetries})`);
+            await sleep(delayMs);
+        }
+    }
+
+    // An organization by id or slug
+    getOrganization(idOrSlug) {
+        return this.get(`/organizations/${encodeURIComponent(idOrSlug)}`);
+    }
+
+    // Organizations fiscally sponsored under a parent org
+    async listSubOrganizations(organizationId) {
+        const response = await this.get(`/organizations/${encodeURIComponent(organizationId)}/sub_organizations`);
+        return (Array.isArray(response) ? response : response?.data) || [];
+    }
+
+    // One page of an org's transactions, newest first: { data, has_more }
+    listTransactions(organizationId, { after = null, limit = 25 } = {}) {
+        return this.get(`/organizations/${organizationId}/transactions`, { after, limit });
+    }
+
+    async listReceipts(organizationId, transactionId) {
+        return (await this.get(`/organizations/${organizationId}/transactions/${transactionId}/receipts`)) || [];
+    }
+}
@@ -1,129 +1,366 @@
 import 'dotenv/config';
+import { parseArgs } from 'util';
+import {
+  openStore,
+  saveOrganization,
+  storedTransaction,
+  saveTransaction,
+  transactionsWithoutReceipts,
+  saveReceipts,
+  transactionHash,
+  oldestPendingDate,
+  getSyncState,
+  updateSyncState,
+  exportOrganizations
+} from './hcb_store.js';
+import { HcbClient, HcbApiError } from './hcb_client.js';
+import { mapPool } from './worker_pool.js';
+import { validateDateRange } from './selection.js';
+import { basename, extname, join } from 'path';
 
-// Rate limiter implementation - 900 requests per 5 minutes
-class RateLimiter {
-  constructor(maxTokens, refillInterval) {
-    this.maxTokens = maxTokens;
-    this.tokens = maxTokens;
-    this.lastRefill = Date.now();
-    this.refillInterval = refillInterval;
-  }
+const client = new HcbClient();
 
-  async getToken() {
-    const now = Date.now();
-    const timePassed = now - this.lastRefill;
-    
-    // Refill tokens based on time passed
-    if (timePassed >= this.refillInterval) {
-      this.tokens = this.maxTokens;
-      this.lastRefill = now;
-    }
+// Without --org, --orgs-file or --children-of the importer syncs the
+// Counterspell events into their usual place
+const DEFAULT_ORGS_FILE = './test_data/counterspell/counterspells.json';
+const DEFAULT_OUTPUT_FILE = './test_data/counterspell/all_transactions.json';
+
+// Make a name usable as a directory name
+function pathSlug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'orgs';
+}
 
-    if (this.tokens <= 0) {
-      // Wait until next refill
-      const waitTime = this.refillInterval - timePassed;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      this.tokens = this.maxTokens;
-      this.lastRefill = Date.now();
+// Turn the selection flags into a list of orgs ({ id, name, slug, parent })
+// and a name for the selection. Orgs files are JSON arrays of org objects
+// (like counterspells.json) or of ids and slugs. Ids and slugs are looked up
+// through the API, and so are the children of --children-of parents.
+async function selectOrganizations({ orgs = [], orgsFile = null, childrenOf = [] }) {
+  const selected = new Map();
+  const nameParts = [];
+  const add = org => {
+    if (!selected.has(String(org.id))) selected.set(String(org.id), org);
+  };
+  const lookUp = async idOrSlug => {
+    const org = await client.getOrganization(idOrSlug);
+    console.log(`Found ${org.name} (${org.id})`);
+    return org;
+  };
+
+  const fromFile = orgsFile || (orgs.length === 0 && childrenOf.length === 0 ? DEFAULT_ORGS_FILE : null);
+  if (fromFile) {
+    const entries = await Bun.file(fromFile).json();
+    if (!Array.isArray(entries)) {
+      throw new Error(`${fromFile} should be a JSON array of orgs, ids or slugs`);
+    }
+    for (const entry of entries) {
+      add(typeof entry === 'object' && entry.id ? entry : await lookUp(entry));
     }
+    nameParts.push(basename(fromFile, extname(fromFile)));
+  }
 
-    this.tokens--;
+  for (const idOrSlug of orgs) {
+    add(await lookUp(idOrSlug));
   }
+  if (orgs.length > 0) {
+    nameParts.push(orgs.length > 3 ? `${orgs.slice(0, 3).join('+')}+${orgs.length - 3}-more` : orgs.join('+'));
+  }
+
+  for (const idOrSlug of childrenOf) {
+    const parent = await lookUp(idOrSlug);
+    const children = await client.listSubOrganizations(parent.id);
+    console.log(`Found ${children.length} orgs under ${parent.name}`);
+    for (const child of children) {
+      add({ ...child, parent: child.parent || parent.id });
+    }
+    nameParts.push(`children-of-${parent.slug || parent.id}`);
+  }
+
+  return { organizations: [...selected.values()], name: pathSlug(nameParts.join('_')) };
+}
+
+// Where the export goes: test_data/<selection>[_<since>-to-<until>]/all_transactions.json.
+// The default selection keeps its usual path.
+function outputPathFor({ name, isDefault, since, until }) {
+  if (isDefault && !since && !until) return DEFAULT_OUTPUT_FILE;
+  const range = since || until ? `_${since || 'start'}-to-${until || 'now'}` : '';
+  return join('test_data', `${isDefault ? 'counterspell' : name}${range}`, 'all_transactions.json');
 }
 
-// Initialize rate limiter - 900 requests per 5 minutes
-const rateLimiter = new RateLimiter(900, 5 * 60 * 1000);
+const inRange = (transaction, { since, until }) => {
+  const date = String(transaction.date || '').slice(0, 10);
+  return (!since || date >= since) && (!until || date <= until);
+};
 
-const counterspellsData = await Bun.file(
-  './test_data/counterspell/counterspells.json'
-).json();
+// Receipts are usually uploaded after the charge, which doesn't change the
+// transaction, so stored expenses from the last lookbackDays that had no
+// receipts are asked for them again. --full asks for every one. Returns how
+// many got receipts.
+async function recheckMissingReceipts(db, organizationId, { lookbackDays, full, since, until, skip, receiptConcurrency }) {
+  const windowStart = full ? null : new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const from = [since, windowStart].filter(Boolean).sort().pop() || null;
+  const missing = transactionsWithoutReceipts(db, organizationId, from)
+    .filter(transaction => !skip.has(transaction.id) && inRange(transaction, { since, until }));
+  if (missing.length === 0) return 0;
 
-async function fetchReceipts(organizationId, transactionId) {
-  await rateLimiter.getToken();
-  const url = `https://hcb.hackclub.com/api/v4/organizations/${organizationId}/transactions/${transactionId}/receipts`;
-  const response = await fetch(url, {
-    headers: {
-      'Authorization': `Bearer ${process.env.HCB_TOKEN}`
+  console.log(`  Checking ${missing.length} transactions without receipts for new uploads`);
+  const receipts = await mapPool(missing, receiptConcurrency, ({ id }) => client.listReceipts(organizationId, id));
+  let found = 0;
+  missing.forEach(({ id }, i) => {
+    if (receipts[i]?.length > 0) {
+      saveReceipts(db, organizationId, id, receipts[i]);
+      console.log(`  Found ${receipts[i].length} new receipts on transaction ${id}`);
+      found++;
     }
   });
-
-  if (!response.ok) {
-    console.error(`Failed to fetch receipts for transaction ${transactionId}:`, await response.text());
-    return [];
-  }
-
-  const data = await response.json();
-  return data || [];
+  return found;
 }
 
-async function fetchAllTransactions(organizationId) {
-  const transactions = [];
+// Page through an org's transactions newest first, storing new and changed
+// ones with their receipts. Paging stops once it's past the newest transaction
+// of the last completed sync and any stored pending transactions, and a whole
+// page had nothing new. --full pages through everything to catch edits to
+// older transactions. The cursor is saved after every page, so an interrupted
+// sync resumes where it left off.
+//
+// With since or until only transactions in that range are stored, paging
+// stops once it's older than since, and the sync state is left alone so a
+// later sync without a range still fetches everything it skipped.
+//
+// Afterwards receipts are fetched again for recent expenses that had none,
+// see recheckMissingReceipts.
+async function syncTransactions(db, organizationId, {
+  full = false,
+  receiptConcurrency = 1,
+  receiptLookbackDays = 30,
+  since = null,
+  until = null
+} = {}) {
+  const dateFiltered = Boolean(since || until);
+  const state = getSyncState(db, organizationId);
+  // --full ignores where the last sync stopped, but still resumes an
+  // interrupted one
+  const lastSync = full ? null : state;
+  const pendingSince = oldestPendingDate(db, organizationId);
+  const resuming = !dateFiltered && Boolean(state?.cursor);
+  let after = resuming ? state.cursor : null;
+  let newest = resuming ? { id: state.in_progress_newest_id, date: state.in_progress_newest_date } : null;
+  let reachedLastSync = false;
   let hasMore = true;
-  let after = null;
+  let changed = 0;
+  const fetched = new Set();
   const limit = 25;
 
+  if (resuming) {
+    console.log(`  Resuming after transaction ${after}`);
+  }
+
   while (hasMore) {
-    await rateLimiter.getToken();
-    const url = `https://hcb.hackclub.com/api/v4/organizations/${organizationId}/transactions${after ? `?after=${after}&limit=${limit}` : `?limit=${limit}`}`;
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${process.env.HCB_TOKEN}`
-      }
-    });
+    const data = await client.listTransactions(organizationId, { after, limit });
 
-    if (!response.ok) {
-      console.error(`Failed to fetch transactions for org ${organizationId}:`, await response.text());
-      return [];
+    if (!newest && !dateFiltered && data.data.length > 0) {
+      newest = { id: data.data[0].id, date: data.data[0].date };
+      updateSyncState(db, organizationId, { in_progress_newest_id: newest.id, in_progress_newest_date: newest.date });
     }
 
-    const data = await response.json();
-    
-    // Fetch receipts for each transaction
+    // Fetch receipts for new and changed transactions only, several at a
+    // time, then store them in page order
+    const toFetch = [];
     for (const transaction of data.data) {
-      console.log(`  Fetching receipts for transaction ${transaction.id}`);
-      transaction.receipts = await fetchReceipts(organizationId, transaction.id);
+      if (lastSync?.last_transaction_id && (transaction.id === lastSync.last_transaction_id ||
+          transaction.date < lastSync.last_transaction_date)) {
+        reachedLastSync = true;
+      }
+      if (!inRange(transaction, { since, until })) continue;
+
+      const stored = storedTransaction(db, organizationId, transaction.id);
+      if (stored && stored.content_hash === transactionHash(transaction)) continue;
+      toFetch.push({ transaction, isNew: !stored });
     }
-    
-    transactions.push(...data.data);
-    hasMore = data.has_more;
-    
-    if (hasMore && data.data.length > 0) {
+
+    const receipts = await mapPool(toFetch, receiptConcurrency, ({ transaction, isNew }) => {
+      console.log(`  Fetching receipts for ${isNew ? 'new' : 'changed'} transaction ${transaction.id}`);
+      return client.listReceipts(organizationId, transaction.id);
+    });
+    toFetch.forEach(({ transaction }, i) => {
+      saveTransaction(db, organizationId, transaction, receipts[i]);
+      fetched.add(String(transaction.id));
+    });
+    const changedOnPage = toFetch.length;
+    changed += changedOnPage;
+
+    hasMore = data.has_more && data.data.length > 0;
+    if (hasMore) {
       after = data.data[data.data.length - 1].id;
+      if (!dateFiltered) updateSyncState(db, organizationId, { cursor: after });
     }
+
+    // Everything older was stored by an earlier sync and won't change
+    const oldestOnPage = data.data[data.data.length - 1]?.date;
+    const pastPending = !pendingSince || (oldestOnPage && oldestOnPage < pendingSince);
+    if (reachedLastSync && pastPending && changedOnPage === 0) break;
+    if (since && oldestOnPage && oldestOnPage.slice(0, 10) < since) break;
   }
 
-  return transactions;
+  changed += await recheckMissingReceipts(db, organizationId, {
+    lookbackDays: receiptLookbackDays,
+    full,
+    since,
+    until,
+    skip: fetched,
+    receiptConcurrency
+  });
+
+  if (dateFiltered) return changed;
+  updateSyncState(db, organizationId, {
+    last_transaction_id: newest?.id ?? state?.last_transaction_id ?? null,
+    last_transaction_date: newest?.date ?? state?.last_transaction_date ?? null,
+    cursor: null,
+    in_progress_newest_id: null,
+    in_progress_newest_date: null,
+    completed_at: new Date().toISOString()
+  });
+  return changed;
 }
 
-async function processCounterspells() {
-  const organizations = [];
-  
-  for (const counterspell of counterspellsData) {
-    console.log(`Fetching transactions for ${counterspell.name} (${counterspell.id})`);
-    
-    const transactions = await fetchAllTransactions(counterspell.id);
-    console.log(`Found ${transactions.length} transactions`);
-    
-    organizations.push({
-      ...counterspell,
-      transactions
-    });
-    
-    // Write the current state after each organization is processed
-    // This helps with resumability and prevents data loss if the script fails
+async function importOrganizations(organizations, { outputFile, full, receiptConcurrency, receiptLookbackDays, since, until }) {
+  const db = openStore();
+  const results = [];
+
+  try {
+    for (const org of organizations) {
+      const name = org.name || org.id;
+      console.log(`Syncing transactions for ${name} (${org.id})`);
+      saveOrganization(db, org);
+
+      try {
+        const changed = await syncTransactions(db, org.id, { full, receiptConcurrency, receiptLookbackDays, since, until });
+        console.log(`Synced ${name}: ${changed} new or changed transactions`);
+        results.push({ id: org.id, name, changed, error: null });
+      } catch (error) {
+        // A bad token fails every request, so stop. Anything else leaves the
+        // org's sync state in place for the next run to resume from.
+        if (!(error instanceof HcbApiError)) throw error;
+        if (error.kind === 'auth') {
+          throw new Error(`HCB rejected HCB_TOKEN (${error.status}): ${error.body}`, { cause: error });
+        }
+        const reason = `${error.kind}${error.status ? ` ${error.status}` : ''}`;
+        console.error(`Failed to sync ${name} (${reason}): ${error.message}`);
+        results.push({ id: org.id, name, changed: 0, error: `${reason}: ${error.message}` });
+      }
+    }
+
+    // Downstream scripts read the JSON export, rebuilt from the store
     await Bun.write(
-      './test_data/counterspell/all_transactions.json',
-      JSON.stringify(organizations, null, 2)
+      outputFile,
+      JSON.stringify(exportOrganizations(db, organizations.map(org => org.id), { since, until }), null, 2)
     );
-    
-    console.log(`Saved data including ${counterspell.name}`);
+    console.log(`Saved ${outputFile}`);
+  } finally {
+    db.close();
   }
+  return results;
 }
 
-// Ensure we have the HCB token
-if (!process.env.HCB_TOKEN) {
-  console.error('Please set HCB_TOKEN environment variable');
-  process.exit(1);
+// Sync the selected orgs and write their export. With dryRun the orgs are
+// only looked up. Returns { outputFile, organizations, failed } where
+// organizations are { id, name, changed, error }.
+export async function runImport({
+  orgs = [],
+  orgsFile = null,
+  childrenOf = [],
+  since = null,
+  until = null,
+  out = null,
+  full = false,
+  receiptConcurrency = 8,
+  receiptLookbackDays = 30,
+  dryRun = false
+} = {}) {
+  if (!process.env.HCB_TOKEN) {
+    throw new Error('Please set HCB_TOKEN environment variable');
+  }
+  validateDateRange({ since, until });
+
+  const selection = { orgs, orgsFile, childrenOf };
+  const isDefault = !orgsFile && orgs.length === 0 && childrenOf.length === 0;
+  let selected;
+  try {
+    selected = await selectOrganizations(selection);
+  } catch (error) {
+    if (!(error instanceof HcbApiError)) throw error;
+    throw new Error(`Couldn't look up the orgs to sync (${error.kind}${error.status ? ` ${error.status}` : ''}): ${error.message}`, { cause: error });
+  }
+  if (selected.organizations.length === 0) {
+    throw new Error('No organizations selected');
+  }
+
+  const outputFile = out || outputPathFor({ name: selected.name, isDefault, since, until });
+  if (dryRun) {
+    for (const org of selected.organizations) {
+      console.log(`Would sync ${org.name || org.id} (${org.id})`);
+    }
+    console.log(`Would save ${outputFile}`);
+    return {
+      outputFile,
+      organizations: selected.organizations.map(org => ({ id: org.id, name: org.name || org.id, changed: null, error: null })),
+      failed: []
+    };
+  }
+
+  const results = await importOrganizations(selected.organizations, {
+    outputFile,
+    full,
+    receiptConcurrency,
+    receiptLookbackDays,
+    since,
+    until
+  });
+  const failed = results.filter(result => result.error).map(result => result.name);
+  if (failed.length > 0) {
+    console.error(`Not fully synced, run again to resume: ${failed.join(', ')}`);
+  }
+  return { outputFile, organizations: results, failed };
 }
 
-await processCounterspells();
\ No newline at end of file
+if (import.meta.main) {
+  // bun hcb_import.js [--org <id or slug>]... [--orgs-file orgs.json] [--children-of <id or slug>]...
+  //                   [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--out all_transactions.json]
+  //                   [--full] [--receipt-concurrency 8] [--receipt-lookback 30]
+  const { values: args } = parseArgs({
+    options: {
+      // Orgs to sync; without any, the orgs in counterspells.json
+      org: { type: 'string', multiple: true, default: [] },
+      'orgs-file': { type: 'string' },
+      'children-of': { type: 'string', multiple: true, default: [] },
+      // Only transactions dated in this range, inclusive
+      since: { type: 'string' },
+      until: { type: 'string' },
+      // Where to write the export instead of the path derived from the selection
+      out: { type: 'string' },
+      // Page through every transaction instead of stopping at the last sync
+      full: { type: 'boolean', default: false },
+      // Receipt requests in flight at once, still within the rate limit
+      'receipt-concurrency': { type: 'string', default: '8' },
+      // Days back to look for receipts uploaded to already synced expenses
+      'receipt-lookback': { type: 'string', default: '30' }
+    }
+  });
+
+  try {
+    const { failed } = await runImport({
+      orgs: args.org,
+      orgsFile: args['orgs-file'] || null,
+      childrenOf: args['children-of'],
+      since: args.since || null,
+      until: args.until || null,
+      out: args.out || null,
+      full: args.full,
+      receiptConcurrency: parseInt(args['receipt-concurrency']),
+      receiptLookbackDays: parseInt(args['receipt-lookback'])
+    });
+    if (failed.length > 0) process.exit(1);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,160 @@
+import { Database } from 'bun:sqlite';
+import { createHash } from 'crypto';
+
+// Local copy of HCB transactions, keyed by org and transaction id, plus the
+// sync state that lets hcb_import.js fetch only what's new or changed and pick
+// an interrupted run back up mid-org.
+export const DEFAULT_STORE_FILE = './test_data/counterspell/hcb.sqlite';
+
+export function openStore(path = process.env.HCB_STORE || DEFAULT_STORE_FILE) {
+    const db = new Database(path, { create: true });
+    db.exec('PRAGMA journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS organizations (
+            id TEXT PRIMARY KEY,
+            json TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS transactions (
+            org_id TEXT NOT NULL,
+            id TEXT NOT NULL,
+            date TEXT,
+            amount_cents INTEGER,
+            pending INTEGER NOT NULL DEFAULT 0,
+            json TEXT NOT NULL,
+            content_hash TEXT NOT NULL,
+            receipts_json TEXT,
+            first_seen_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (org_id, id)
+        );
+        CREATE TABLE IF NOT EXISTS sync_state (
+            org_id TEXT PRIMARY KEY,
+            -- Newest transaction as of the last completed sync
+            last_transaction_id TEXT,
+            last_transaction_date TEXT,
+            -- Set while a sync is in progress: where to resume paging, and the
+            -- newest transaction seen when this sync started
+            cursor TEXT,
+            in_progress_newest_id TEXT,
+            in_progress_newest_date TEXT,
+            completed_at TEXT,
+            updated_at TEXT NOT NULL
+        );
+    `);
+    return db;
+}
+
+// Hash of what HCB says about a transaction, so unchanged ones can be skipped.
+// Receipts are fetched separately and aren't part of it, see
+// transactionsWithoutReceipts.
+export function transactionHash(transaction) {
+    const { receipts, ...rest } = transaction;
+    return createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+export function saveOrganization(db, org) {
+    db.query('INSERT INTO organizations (id, json) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET json = excluded.json')
+        .run(String(org.id), JSON.stringify(org));
+}
+
+// The stored content hash and pending flag for a transaction, or null when
+// it hasn't been seen
+export function storedTransaction(db, orgId, transactionId) {
+    return db.query('SELECT content_hash, pending, receipts_json FROM transactions WHERE org_id = ? AND id = ?')
+        .get(String(orgId), String(transactionId));
+}
+
+// Date of the org's oldest stored transaction that was still pending, since
+// those are the ones HCB will change later
+export function oldestPendingDate(db, orgId) {
+    return db.query('SELECT MIN(date) AS date FROM transactions WHERE org_id = ? AND pending = 1').get(String(orgId))?.date || null;
+}
+
+// Stored expenses dated since (YYYY-MM-DD, or any date when null) that had
+// no receipts when they were synced, as { id, date }. Receipts are usually
+// uploaded after the charge, and that doesn't change the transaction itself.
+export function transactionsWithoutReceipts(db, orgId, since = null) {
+    return db.query(`
+        SELECT id, date FROM transactions
+        WHERE org_id = $orgId
+            AND amount_cents < 0
+            AND (receipts_json IS NULL OR receipts_json = '[]')
+            AND ($since IS NULL OR substr(date, 1, 10) >= $since)
+        ORDER BY date DESC, id DESC
+    `).all({ $orgId: String(orgId), $since: since });
+}
+
+export function saveReceipts(db, orgId, transactionId, receipts) {
+    db.query('UPDATE transactions SET receipts_json = ?, updated_at = ? WHERE org_id = ? AND id = ?')
+        .run(JSON.stringify(receipts || []), new Date().toISOString(), String(orgId), String(transactionId));
+}
+
+export function saveTransaction(db, orgId, transaction, receipts) {
+    const now = new Date().toISOString();
+    db.query(`
+        INSERT INTO transactions (org_id, id, date, amount_cents, pending, json, content_hash, receipts_json, first_seen_at, updated_at)
+        VALUES ($orgId, $id, $date, $amountCents, $pending, $json, $hash, $receipts, $now, $now)
+        ON CONFLICT (org_id, id) DO UPDATE SET
+            date = excluded.date,
+            amount_cents = excluded.amount_cents,
+            pending = excluded.pending,
+            json = excluded.json,
+            content_hash = excluded.content_hash,
+            receipts_json = excluded.receipts_json,
+            updated_at = excluded.updated_at
+    `).run({
+        $orgId: String(orgId),
+        $id: String(transaction.id),
+        $date: transaction.date || null,
+        $amountCents: transaction.amount_cents ?? null,
+        $pending: transaction.pending ? 1 : 0,
+        $json: JSON.stringify({ ...transaction, receipts: undefined }),
+        $hash: transactionHash(transaction),
+        $receipts: JSON.stringify(receipts || []),
+        $now: now
+    });
+}
+
+export function getSyncState(db, orgId) {
+    return db.query('SELECT * FROM sync_state WHERE org_id = ?').get(String(orgId)) || null;
+}
+
+// Merge the given fields into an org's sync state
+export function updateSyncState(db, orgId, fields) {
+    const state = { ...(getSyncState(db, orgId) || { org_id: String(orgId) }), ...fields, updated_at: new Date().toISOString() };
+    db.query(`
+        INSERT INTO sync_state (org_id, last_transaction_id, last_transaction_date, cursor, in_progress_newest_id, in_progress_newest_date, completed_at, updated_at)
+        VALUES ($org_id, $last_transaction_id, $last_transaction_date, $cursor, $in_progress_newest_id, $in_progress_newest_date, $completed_at, $updated_at)
+        ON CONFLICT (org_id) DO UPDATE SET
+            last_transaction_id = excluded.last_transaction_id,
+            last_transaction_date = excluded.last_transaction_date,
+            cursor = excluded.cursor,
+            in_progress_newest_id = excluded.in_progress_newest_id,
+            in_progress_newest_date = excluded.in_progress_newest_date,
+            completed_at = excluded.completed_at,
+            updated_at = excluded.updated_at
+    `).run(Object.fromEntries(
+        ['org_id', 'last_transaction_id', 'last_transaction_date', 'cursor', 'in_progress_newest_id', 'in_progress_newest_date', 'completed_at', 'updated_at']
+            .map(key => [`$${key}`, state[key] ?? null])
+    ));
+}
+
+// The given orgs from the store in the all_transactions.json shape:
+// [{ ...org, transactions: [{ ...transaction, receipts }] }], newest first
+// like the HCB API. since and until (YYYY-MM-DD, inclusive) limit the
+// transactions to a date range.
+export function exportOrganizations(db, orgIds, { since = null, until = null } = {}) {
+    return orgIds.map(orgId => {
+        const org = JSON.parse(db.query('SELECT json FROM organizations WHERE id = ?').get(String(orgId))?.json || `{"id":${JSON.stringify(orgId)}}`);
+        const transactions = db.query(`
+            SELECT json, receipts_json FROM transactions
+            WHERE org_id = $orgId
+                AND ($since IS NULL OR substr(date, 1, 10) >= $since)
+                AND ($until IS NULL OR substr(date, 1, 10) <= $until)
+            ORDER BY date DESC, id DESC
+        `)
+            .all({ $orgId: String(orgId), $since: since, $until: until })
+            .map(row => ({ ...JSON.parse(row.json), receipts: JSON.parse(row.receipts_json || '[]') }));
+        return { ...org, transactions };
+    });
+}
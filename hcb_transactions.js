@@ -0,0 +1,132 @@
+import { linkInternalTransactions } from './transfers.js';
+
+// Flattening the all_transactions.json export into one row per transaction
+// with dot-path columns (card_charge.merchant.name, receipts1.url, tags1.label,
+// ...), shared by hcb_json_to_csv.js and the JSON input of index.js so both
+// produce the same columns.
+
+// Columns that come first, ahead of the transaction's own fields
+const LEADING_COLUMNS = [
+    'org_id',
+    'org_parent_id',
+    'org_name',
+    'org_slug',
+    'internal_type',
+    'linked_transaction_id',
+    'linked_org_id'
+];
+
+// Every path in an object. Arrays of objects get numbered paths per item
+// (receipts1.url, receipts2.url, ...) for the first maxArrayItems items.
+function getAllPaths(obj, parentPath = '', maxArrayItems = 5) {
+    const paths = new Set();
+
+    for (const key in obj) {
+        const newPath = parentPath ? `${parentPath}.${key}` : key;
+
+        if (Array.isArray(obj[key])) {
+            // The array field itself, then its items if they're objects
+            paths.add(newPath);
+            if (obj[key].length > 0 && typeof obj[key][0] === 'object') {
+                for (let i = 0; i < Math.min(maxArrayItems, obj[key].length); i++) {
+                    getAllPaths(obj[key][i], `${newPath}${i + 1}`, maxArrayItems).forEach(path => paths.add(path));
+                }
+            }
+        } else if (obj[key] && typeof obj[key] === 'object') {
+            getAllPaths(obj[key], newPath, maxArrayItems).forEach(path => paths.add(path));
+        } else {
+            paths.add(newPath);
+        }
+    }
+
+    return paths;
+}
+
+// Value at a dot path, where numbered parts like receipts1 index into arrays
+function getValueByPath(obj, path) {
+    const match = path.match(/^(.+?)(\d+)(.*)/);
+    if (match) {
+        const [, arrayPath, indexStr, rest] = match;
+        const index = parseInt(indexStr) - 1;
+
+        const array = arrayPath.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, obj);
+
+        if (!array || !Array.isArray(array)) return '';
+
+        const item = array[index];
+        if (!item) return '';
+
+        // Objects are covered by their own paths
+        if (!rest && typeof item === 'object' && Object.keys(item).length > 0) {
+            return '';
+        }
+
+        return rest ? getValueByPath(item, rest.slice(1)) : item;
+    }
+
+    return path.split('.').reduce((current, key) => {
+        if (current === null || current === undefined) return '';
+        if (Array.isArray(current)) {
+            const items = current.map(item => {
+                if (typeof item === 'object' && item !== null && Object.keys(item).length > 0) return '';
+                return String(item);
+            }).filter(Boolean);
+            return items.length ? items.join(';') : '';
+        }
+        if (typeof current === 'object' && !(key in current)) return '';
+        return current[key];
+    }, obj);
+}
+
+// A flattened value as it appears in a cell: arrays of plain values joined
+// with semicolons, objects (which have their own columns) left empty, and
+// everything else unchanged
+export function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value
+            .filter(item => !(typeof item === 'object' && item !== null && Object.keys(item).length > 0))
+            .map(String)
+            .join(';');
+    }
+    if (typeof value === 'object') return '';
+    return value;
+}
+
+// Flatten the export. Every row gets the same columns, org and internal
+// transfer columns first. Returns { columns, rows, links } where rows are
+// objects keyed by column and links are the transfers and fees found by
+// linkInternalTransactions.
+export function flattenOrganizations(organizations, { maxArrayItems = 5 } = {}) {
+    const links = linkInternalTransactions(organizations);
+
+    const transactions = organizations.flatMap(org => org.transactions.map(transaction => {
+        const link = links.get(transaction.id);
+        return {
+            org_id: org.id,
+            org_parent_id: org.parent || '',
+            org_name: org.name,
+            org_slug: org.slug,
+            internal_type: link?.type || '',
+            linked_transaction_id: link?.linkedTransactionId || '',
+            linked_org_id: link?.linkedOrgId || '',
+            ...transaction
+        };
+    }));
+
+    const paths = new Set();
+    for (const transaction of transactions) {
+        getAllPaths(transaction, '', maxArrayItems).forEach(path => paths.add(path));
+    }
+    const columns = [
+        ...LEADING_COLUMNS,
+        ...[...paths].filter(path => !LEADING_COLUMNS.includes(path)).sort()
+    ];
+
+    const rows = transactions.map(transaction =>
+        Object.fromEntries(columns.map(column => [column, getValueByPath(transaction, column)]))
+    );
+    return { columns, rows, links };
+}
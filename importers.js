@@ -0,0 +1,324 @@
+import { generateObject } from 'ai';
+import { z } from 'zod';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { getModel } from './models.js';
+import { majorToSubunits, normalizeCurrency } from './money.js';
+
+// Importers for statements that don't come from HCB: OFX/QFX downloads, bank
+// CSVs and Stripe payout reconciliation reports. Each one returns canonical
+// transactions:
+// { id, date: 'YYYY-MM-DD', amount_subunits, currency, memo, source, ...}
+// amount_subunits is a signed integer in the currency's subunits (cents for
+// USD), negative when money goes out. Other fields depend on the source.
+
+// Saved bank CSV column mappings by source name, e.g.
+// { "chase-checking": { "headers": [...], "mapping": { "dateField": "Posting Date", ... } } }
+export const IMPORT_PROFILES_FILE = 'import_profiles.json';
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+// Parse an amount as banks write it: "1,234.56", "$-12.00", "(12.00)",
+// "12.00 CR", "12.00DR". Returns NaN when there's nothing to parse.
+export function parseDecimal(value) {
+    let text = String(value ?? '').trim();
+    if (text === '') return NaN;
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/DR$/i.test(text)) sign = -1;
+    text = text.replace(/\s*(CR|DR)$/i, '').replace(/[^\d.,-]/g, '');
+    // A last comma followed by one or two digits is a decimal comma, and any
+    // dots before it separate thousands
+    if (text.lastIndexOf(',') > text.lastIndexOf('.') && /,\d{1,2}$/.test(text)) {
+        text = text.replace(/\./g, '').replace(/,(\d{1,2})$/, '.$1');
+    }
+    return sign * parseFloat(text.replace(/,/g, ''));
+}
+
+// A date in one of DATE_FORMATS as YYYY-MM-DD, or null when it doesn't match
+export function parseDateWithFormat(value, format) {
+    const text = String(value ?? '').trim();
+    const patterns = {
+        'YYYY-MM-DD': [/^(\d{4})-(\d{1,2})-(\d{1,2})/, ['y', 'm', 'd']],
+        'MM/DD/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/, ['m', 'd', 'y']],
+        'DD/MM/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/, ['d', 'm', 'y']],
+        'DD.MM.YYYY': [/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})\b/, ['d', 'm', 'y']],
+        'YYYYMMDD': [/^(\d{4})(\d{2})(\d{2})/, ['y', 'm', 'd']]
+    };
+    if (!patterns[format]) {
+        throw new Error(`Unknown date format "${format}", expected one of: ${DATE_FORMATS.join(', ')}`);
+    }
+    const [pattern, order] = patterns[format];
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    const parts = Object.fromEntries(order.map((part, i) => [part, parseInt(match[i + 1], 10)]));
+    if (parts.y < 100) parts.y += 2000;
+    const date = new Date(Date.UTC(parts.y, parts.m - 1, parts.d));
+    if (date.getUTCMonth() !== parts.m - 1 || date.getUTCDate() !== parts.d) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// Stable id for rows that don't have one, so re-importing the same file skips
+// what was already processed. occurrence tells identical rows apart.
+function rowId(source, fields, occurrence) {
+    const hash = createHash('sha256').update(JSON.stringify([...fields, occurrence])).digest('hex');
+    return `${source}-${hash.slice(0, 16)}`;
+}
+
+// OFX and QFX
+
+// Value of a simple element in OFX, which is SGML (<NAME>Coffee) in older
+// files and XML (<NAME>Coffee</NAME>) in newer ones
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+function ofxBlocks(text, tag) {
+    const blocks = [];
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)(?=</${tag}>|<${tag}>|$)`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+        blocks.push(match[1]);
+    }
+    return blocks;
+}
+
+// DTPOSTED is YYYYMMDD with an optional time and zone; only the day matters
+function ofxDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Every <STMTTRN> in a bank (STMTRS) or credit card (CCSTMTRS) statement.
+// TRNAMT is signed in major units, in the statement's CURDEF unless the
+// transaction names its own CURRENCY.
+export function importOfx(path) {
+    const text = readFileSync(path, 'utf-8');
+    const statements = [...ofxBlocks(text, 'STMTRS'), ...ofxBlocks(text, 'CCSTMTRS')];
+    if (statements.length === 0) {
+        throw new Error(`No bank or credit card statements found in ${path}`);
+    }
+
+    const transactions = [];
+    for (const statement of statements) {
+        const statementCurrency = ofxValue(statement, 'CURDEF') || 'USD';
+        const accountId = ofxValue(statement, 'ACCTID');
+        for (const block of ofxBlocks(statement, 'STMTTRN')) {
+            const currencyBlock = ofxBlocks(block, 'CURRENCY')[0];
+            const currency = normalizeCurrency((currencyBlock && ofxValue(currencyBlock, 'CURSYM')) || statementCurrency);
+            const amount = parseDecimal(ofxValue(block, 'TRNAMT'));
+            const date = ofxDate(ofxValue(block, 'DTPOSTED'));
+            if (isNaN(amount) || !date) {
+                throw new Error(`Can't read the amount or date of transaction ${ofxValue(block, 'FITID') || '?'} in ${path}`);
+            }
+            const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE') || '';
+            const memo = ofxValue(block, 'MEMO') || '';
+            transactions.push({
+                id: ofxValue(block, 'FITID') || rowId('ofx', [accountId, date, amount, name, memo], transactions.length),
+                date,
+                amount_subunits: majorToSubunits(amount, currency),
+                currency,
+                memo: [name, memo].filter(Boolean).join(' - '),
+                source: 'ofx',
+                account: accountId || '',
+                ofx_type: ofxValue(block, 'TRNTYPE') || '',
+                check_number: ofxValue(block, 'CHECKNUM') || ''
+            });
+        }
+    }
+    return transactions;
+}
+
+// Stripe payout reconciliation reports
+
+// The itemized payout reconciliation report from the Stripe dashboard has a
+// row per balance transaction with gross, fee and net in major units
+export function isStripePayoutReport(headers) {
+    return ['balance_transaction_id', 'gross', 'fee', 'net', 'currency'].every(header => headers.includes(header));
+}
+
+// Each row books its gross amount, and Stripe's fee on it is a separate
+// transaction so processing fees show up as an expense
+export function importStripePayouts(records) {
+    const transactions = [];
+    for (const record of records) {
+        const currency = normalizeCurrency(record.currency);
+        const date = (record.created_utc || record.created || record.available_on_utc || '').slice(0, 10);
+        const gross = parseDecimal(record.gross);
+        const fee = parseDecimal(record.fee) || 0;
+        if (isNaN(gross) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Can't read the gross amount or date of Stripe balance transaction ${record.balance_transaction_id}`);
+        }
+
+        const shared = {
+            currency,
+            source: 'stripe_payout',
+            payout_id: record.automatic_payout_id || record.payout_id || '',
+            reporting_category: record.reporting_category || '',
+            source_id: record.source_id || ''
+        };
+        const description = record.description || record.reporting_category || 'Stripe balance transaction';
+        transactions.push({
+            id: record.balance_transaction_id,
+            date,
+            amount_subunits: majorToSubunits(gross, currency),
+            memo: description,
+            ...shared
+        });
+        if (fee !== 0) {
+            transactions.push({
+                id: `${record.balance_transaction_id}-fee`,
+                date,
+                amount_subunits: -majorToSubunits(fee, currency),
+                memo: `Stripe fee: ${description}`,
+                ...shared
+            });
+        }
+    }
+    return transactions;
+}
+
+// Bank CSVs
+
+export function loadProfiles() {
+    if (!existsSync(IMPORT_PROFILES_FILE)) return {};
+    return JSON.parse(readFileSync(IMPORT_PROFILES_FILE, 'utf-8'));
+}
+
+function saveProfiles(profiles) {
+    writeFileSync(IMPORT_PROFILES_FILE, JSON.stringify(profiles, null, 2));
+}
+
+// The saved profile whose headers are exactly these, if any
+export function findProfileForHeaders(headers) {
+    const key = JSON.stringify([...headers].sort());
+    return Object.entries(loadProfiles())
+        .map(([name, profile]) => ({ name, ...profile }))
+        .find(profile => JSON.stringify([...(profile.headers || [])].sort()) === key) || null;
+}
+
+// Problems with a mapping for these headers, empty when it's usable
+export function validateBankMapping(mapping, headers) {
+    const errors = [];
+    const columns = ['dateField', 'descriptionField', 'amountField', 'debitField', 'creditField', 'currencyField', 'idField'];
+    for (const column of columns) {
+        if (mapping[column] && !headers.includes(mapping[column])) {
+            errors.push(`${column} "${mapping[column]}" is not a column`);
+        }
+    }
+    if (!mapping.dateField) errors.push('dateField is required');
+    if (!DATE_FORMATS.includes(mapping.dateFormat)) errors.push(`dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+    if (!mapping.amountField && !mapping.debitField && !mapping.creditField) {
+        errors.push('needs an amountField or debitField/creditField');
+    }
+    if (!['major', 'subunits'].includes(mapping.units)) errors.push('units must be "major" or "subunits"');
+    if (mapping.amountField && !['negativeIsOutflow', 'positiveIsOutflow'].includes(mapping.sign)) {
+        errors.push('sign must be "negativeIsOutflow" or "positiveIsOutflow"');
+    }
+    return errors;
+}
+
+async function guessBankMapping(headers, sampleRows) {
+    const column = description => z.string().nullable().describe(`${description}, or null if there is none`);
+    const { object } = await generateObject({
+        schema: z.object({
+            dateField: z.string().describe('The header of the transaction or posting date'),
+            dateFormat: z.enum(DATE_FORMATS).describe('How the dates in the sample rows are written'),
+            descriptionField: column('The header of the payee, description or memo'),
+            amountField: column('The header of a single signed amount column'),
+            debitField: column('The header of a separate column for money going out (debits, withdrawals)'),
+            creditField: column('The header of a separate column for money coming in (credits, deposits)'),
+            currencyField: column('The header of a currency code column'),
+            currency: z.string().describe('ISO 4217 code of the amounts when there is no currency column, usually USD'),
+            idField: column('The header of a unique transaction id or reference number'),
+            units: z.enum(['major', 'subunits']).describe('"major" when amounts are like 12.34 dollars, "subunits" when they are whole cents like 1234'),
+            sign: z.enum(['negativeIsOutflow', 'positiveIsOutflow']).describe('For a single amount column, whether negative or positive amounts are money going out')
+        }),
+        model: getModel('fields'),
+        prompt: `This is a bank or card statement CSV.\nHeaders: ${headers.join(', ')}\nSample rows:\n${sampleRows.map(row => JSON.stringify(row)).join('\n')}\n\nMap its columns.`
+    });
+    return object;
+}
+
+// The saved mapping for a profile, asking the model for one and saving it the
+// first time a profile name is used. Edit import_profiles.json to correct it.
+// With dryRun a new profile name is an error instead of a model call.
+export async function bankProfile(name, headers, records, { dryRun = false } = {}) {
+    const profiles = loadProfiles();
+    const saved = profiles[name];
+    if (!saved && dryRun) {
+        throw new Error(`There's no profile "${name}" in ${IMPORT_PROFILES_FILE} yet, and a dry run doesn't ask the model ` +
+            'to map the columns. Run without --dry-run once to create it.');
+    }
+    const mapping = saved ? saved.mapping : await guessBankMapping(headers, records.slice(0, 5));
+
+    const errors = validateBankMapping(mapping, headers);
+    if (errors.length > 0) {
+        throw new Error(saved ?
+            `Profile "${name}" in ${IMPORT_PROFILES_FILE} doesn't fit this file: ${errors.join('; ')}` :
+            `Couldn't map the columns for profile "${name}": ${errors.join('; ')}`);
+    }
+    if (!saved) {
+        profiles[name] = { headers, mapping, createdAt: new Date().toISOString() };
+        saveProfiles(profiles);
+        console.log(`Saved column mapping for "${name}" to ${IMPORT_PROFILES_FILE}:`, mapping);
+    }
+    return mapping;
+}
+
+// Rows of a bank CSV through a column mapping. Debit and credit columns are
+// taken as amounts out and in whatever their sign. Columns the mapping doesn't
+// use are kept as they are.
+export function importBankCsv(records, mapping) {
+    const mapped = new Set(['dateField', 'descriptionField', 'amountField', 'debitField', 'creditField', 'currencyField', 'idField']
+        .map(column => mapping[column])
+        .filter(Boolean));
+    const occurrences = new Map();
+    return records.map((record, index) => {
+        const rowNumber = index + 2;
+        const date = parseDateWithFormat(record[mapping.dateField], mapping.dateFormat);
+        if (!date) {
+            throw new Error(`Row ${rowNumber}: "${record[mapping.dateField]}" isn't a ${mapping.dateFormat} date`);
+        }
+
+        let amount;
+        if (mapping.amountField) {
+            amount = parseDecimal(record[mapping.amountField]);
+            if (mapping.sign === 'positiveIsOutflow') amount = -amount;
+        } else {
+            const debit = parseDecimal(record[mapping.debitField]);
+            const credit = parseDecimal(record[mapping.creditField]);
+            if (isNaN(debit) && isNaN(credit)) {
+                amount = NaN;
+            } else {
+                amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+            }
+        }
+        if (isNaN(amount)) {
+            throw new Error(`Row ${rowNumber}: no amount in ${mapping.amountField || `${mapping.debitField}/${mapping.creditField}`}`);
+        }
+
+        const currency = normalizeCurrency((mapping.currencyField && record[mapping.currencyField]) || mapping.currency);
+        const amountSubunits = mapping.units === 'subunits' ? Math.round(amount) : majorToSubunits(amount, currency);
+        const memo = mapping.descriptionField ? record[mapping.descriptionField] : '';
+
+        const key = JSON.stringify([date, amountSubunits, memo]);
+        const occurrence = occurrences.get(key) || 0;
+        occurrences.set(key, occurrence + 1);
+
+        const unmapped = Object.fromEntries(Object.entries(record).filter(([column]) => !mapped.has(column)));
+        return {
+            ...unmapped,
+            id: (mapping.idField && record[mapping.idField]) || rowId('bank', [date, amountSubunits, memo], occurrence),
+            date,
+            amount_subunits: amountSubunits,
+            currency,
+            memo,
+            source: 'bank_csv'
+        };
+    });
+}
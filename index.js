@@ -1,175 +1,194 @@
 import 'dotenv/config';
-import { openai } from '@ai-sdk/openai';
-import { generateObject, generateText, tool } from 'ai';
+import { generateObject, generateText, tool, NoObjectGeneratedError } from 'ai';
 import { z } from 'zod';
 import { parse } from 'csv-parse/sync';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import * as XLSX from 'xlsx';
-import fs from 'fs';
-
-const aiModel = openai('gpt-4o');
-
-// Chart of Accounts
-const CHART_OF_ACCOUNTS = {
-    income: {
-        id: '4000',
-        name: 'Income',
-        subAccounts: {
-            majorGifts: { id: '4100', name: 'Major Gifts $5k+' },
-            webDonations: { id: '4200', name: 'Grassroots Donations' },
-            earnedRevenue: { id: '4300', name: 'Earned Revenue' }
-        }
-    },
-    expenses: {
-        id: '5000',
-        name: 'Expenses',
-        subAccounts: {
-            personnelExpenses: {
-                id: '5100',
-                name: 'Personnel Expenses',
-                subAccounts: {
-                    salariesAndWages: { id: '5110', name: 'Salaries and Wages' },
-                    benefitsAndTaxes: { id: '5120', name: 'Employee Benefits and Payroll Taxes' },
-                    contractors: { id: '5130', name: 'Contractors' }
-                }
-            },
-            professionalServices: {
-                id: '5200',
-                name: 'Outside Professional Services and Fees',
-                subAccounts: {
-                    legalAndAccounting: { id: '5210', name: 'Legal and Accounting Services' }
-                }
-            },
-            facilitiesExpenses: {
-                id: '5300',
-                name: 'Facilities Expenses',
-                subAccounts: {
-                    rentAndLease: { id: '5310', name: 'Rent and Lease Expense' },
-                    utilities: { id: '5320', name: 'Utilities' },
-                    maintenance: { id: '5330', name: 'Maintenance and Repairs' },
-                    depreciation: { id: '5340', name: 'Depreciation Expense' },
-                    officeSupplies: { id: '5350', name: 'Office Supplies' },
-                    internet: { id: '5360', name: 'Internet' },
-                    officeExpenses: { id: '5370', name: 'Office Expenses' }
-                }
-            },
-            technology: {
-                id: '5400',
-                name: 'Technology',
-                subAccounts: {
-                    staffComputers: { id: '5410', name: 'Staff Computers' },
-                    softwareSubscriptions: { id: '5420', name: 'Software Subscriptions & Licenses' },
-                    serversAndHosting: { id: '5430', name: 'Servers & Hosting' }
-                }
-            },
-            shippingAndPostage: { id: '5500', name: 'Shipping & Postage' },
-            insurance: {
-                id: '5600',
-                name: 'Insurance',
-                subAccounts: {
-                    generalLiability: { id: '5610', name: 'General Liability Insurance' },
-                    otherInsurance: { id: '5620', name: 'Other Insurance' }
-                }
-            },
-            programExpenses: {
-                id: '5700',
-                name: 'Program Expenses',
-                subAccounts: {
-                    travelAndTransportation: {
-                        id: '5710',
-                        name: 'Travel & Transportation',
-                        subAccounts: {
-                            travelExpenseDetails: { id: '5711', name: 'Travel Expense Details' }
-                        }
-                    },
-                    resourceDistribution: {
-                        id: '5720',
-                        name: 'Resource Distribution',
-                        subAccounts: {
-                            directResources: { id: '5721', name: 'Direct Resources / Prizes / Grants' },
-                            subGrants: { id: '5722', name: 'Sub-Grants To Other Orgs' }
-                        }
-                    }
-                }
-            },
-            supportExpenses: {
-                id: '5800',
-                name: 'Support Expenses',
-                subAccounts: {
-                    marketingAndComm: { id: '5810', name: 'Marketing and Communications' },
-                    training: { id: '5820', name: 'Training & Professional Development' },
-                    conferencesCosts: { id: '5830', name: 'Meeting & Conference Costs' },
-                    mealsAndEntertainment: { id: '5840', name: 'Meals & Entertainment' }
-                }
-            },
-            fundraisingExpenses: {
-                id: '5900',
-                name: 'Fundraising Expenses',
-                subAccounts: {
-                    travelAndTransportation: { id: '5910', name: 'Travel & Transportation' },
-                    events: { id: '5920', name: 'Events' },
-                    other: { id: '5930', name: 'Other' }
-                }
-            },
-            miscExpenses: { id: '5950', name: 'Miscellaneous or Other Operating Expenses' }
-        }
-    }
-};
-// Function to print chart of accounts in a formatted way
-function printChartOfAccounts(accounts = CHART_OF_ACCOUNTS, level = 0) {
-    let output = '';
-    for (const [key, account] of Object.entries(accounts)) {
-        // Skip if not a proper account object
-        if (!account.name) continue;
-        
-        // Add current account with indentation to output string
-        output += `${'    '.repeat(level)}${account.name}${account.id ? ` (id: ${account.id})` : ''}\n`;
-        
-        // Recursively add sub-accounts if they exist
-        if (account.subAccounts) {
-            output += printChartOfAccounts(account.subAccounts, level + 1);
-        }
+import { getModel, getModelSpec } from './models.js';
+import { CSV_PARSE_OPTIONS, escapeCsvField, readCsv, writeCsv } from './csv_utils.js';
+import { addToReviewQueue, isQueuedForReview } from './review_queue.js';
+import { findMatchingRule, describeRule, learnRule } from './rules.js';
+import { receiptLineItems, formatLineItems, computeSplits } from './splits.js';
+import { buildStatementOfFinancialPosition } from './financial_position.js';
+import { findEliminations } from './transfers.js';
+import { runPool, mapPool } from './worker_pool.js';
+import { flattenOrganizations, cellValue } from './hcb_transactions.js';
+import { receiptContentParts, detectReceiptFormat, HIGH_RES_RENDER_DPI } from './receipt_files.js';
+import {
+    fetchReceipt,
+    knownReceiptHash,
+    loadReceiptSources,
+    cachedExtraction,
+    saveExtraction,
+    listExtractions,
+    removeExtractions
+} from './receipt_cache.js';
+import {
+    FIELD_MAPPINGS_FILE,
+    FIELD_MAPPING_KEYS,
+    AMOUNT_UNITS,
+    AMOUNT_SIGNS,
+    cachedFieldMapping,
+    saveFieldMapping,
+    validateFieldMapping,
+    recordDate,
+    recordAmount
+} from './field_mappings.js';
+import {
+    DATE_FORMATS,
+    importOfx,
+    isStripePayoutReport,
+    importStripePayouts,
+    findProfileForHeaders,
+    bankProfile,
+    importBankCsv
+} from './importers.js';
+import {
+    organizationsOf,
+    consolidationRoot,
+    consolidationGroups,
+    uniqueSheetName,
+    buildComparisonSheet
+} from './consolidation.js';
+import {
+    loadFxRates,
+    convertToUsd,
+    normalizeCurrency,
+    subunitsToMajor,
+    formatUsd,
+    parseUsd,
+    roundUsd,
+    DEFAULT_FX_TOLERANCE
+} from './money.js';
+import {
+    CATEGORIZABLE_TYPES,
+    INTERNAL_ACCOUNT_SIGNS,
+    loadChartOfAccounts,
+    findAccount,
+    findInternalAccount,
+    getFullAccountName,
+    getLeafAccounts,
+    getCategorizableSections,
+    printChartOfAccounts
+} from './chart_of_accounts.js';
+
+const fieldsModel = getModel('fields');
+const categorizeModel = getModel('categorize');
+const receiptsModel = getModel('receipts');
+
+const chartOfAccounts = loadChartOfAccounts();
+const fxRates = loadFxRates();
+
+// How many times the model gets to fix a rejected categorization before the
+// transaction goes to manual review
+const MAX_CATEGORIZATION_ATTEMPTS = 3;
+const CORRECTIONS_LOG_FILE = 'corrections.jsonl';
+
+// Where categorized transactions go unless the caller passes outputPath, one
+// row per split
+const DEFAULT_PROCESSED_FILE = 'processed.csv';
+
+// Bump when the receipt extraction prompt or schema changes, so receipts are
+// extracted again instead of coming from the cache
+const RECEIPT_PROMPT_VERSION = 3;
+
+// Attempts the model gets at a column mapping that fits the sample rows
+const MAX_FIELD_DETECTION_ATTEMPTS = 2;
+
+// Transaction processing functions
+async function detectFields(headers, records) {
+    const sample = records.slice(0, 5).map(record => JSON.stringify(record)).join('\n');
+    let feedback = '';
+    for (let attempt = 1; attempt <= MAX_FIELD_DETECTION_ATTEMPTS; attempt++) {
+        const { object } = await generateObject({
+            schema: z.object({
+                dateField: z.string().describe('The CSV header that represents the transaction date'),
+                dateFormat: z.enum(DATE_FORMATS).describe('How the dates in the sample rows are written'),
+                amountField: z.string().describe('The CSV header that represents the transaction amount'),
+                units: z.enum(AMOUNT_UNITS).describe('"major" when amounts are like 12.34 dollars, "subunits" when they are whole cents like 1234'),
+                sign: z.enum(AMOUNT_SIGNS).describe('Whether negative or positive amounts are money going out')
+            }),
+            model: fieldsModel,
+            prompt: `Given these CSV headers: ${headers.join(', ')}\nSample rows:\n${sample}\n` +
+                'Identify which header represents the transaction date and which represents the transaction amount/value, ' +
+                `how the dates are written, what units the amounts are in and which sign is money going out.${feedback}`
+        });
+        const errors = validateFieldMapping(object, headers, records);
+        if (errors.length === 0) return object;
+        console.warn(`Field detection attempt ${attempt} doesn't fit the data: ${errors.join('; ')}`);
+        feedback = `\n\nA previous answer was wrong: ${JSON.stringify(object)}\nProblems: ${errors.join('; ')}`;
     }
-    return output;
+    throw new Error('Couldn\'t detect the date and amount columns. Set them with --date-field, --date-format, ' +
+        '--amount-field, --amount-units and --amount-sign.');
 }
 
+// The date and amount columns of a CSV in an unknown format and how to read
+// them. Flags in overrides win over the saved mapping for these headers, which
+// wins over asking the model. Guesses are checked against the first rows and
+// saved; pin saves the mapping as pinned so it's never guessed again. With
+// dryRun nothing is saved, and a mapping that would have to be guessed is an
+// error instead of a model call.
+async function identifyFields(headers, records, { overrides = {}, pin = false, dryRun = false } = {}) {
+    const given = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value));
+    const cached = cachedFieldMapping(headers);
+    const cacheFits = cached && (cached.pinned || validateFieldMapping(cached.mapping, headers, records).length === 0);
+
+    let mapping;
+    let detected = false;
+    if (FIELD_MAPPING_KEYS.every(key => given[key])) {
+        mapping = given;
+    } else if (cacheFits) {
+        mapping = { ...cached.mapping, ...given };
+        console.log(`Using the ${cached.pinned ? 'pinned' : 'saved'} column mapping from ${FIELD_MAPPINGS_FILE}`);
+    } else if (dryRun) {
+        throw new Error(`No saved column mapping in ${FIELD_MAPPINGS_FILE} fits these headers, and a dry run doesn't ask ` +
+            'the model for one. Run without --dry-run once, or set --date-field, --date-format, --amount-field, ' +
+            '--amount-units and --amount-sign.');
+    } else {
+        mapping = { ...(await detectFields(headers, records)), ...given };
+        detected = true;
+    }
 
-// Transaction processing functions
-async function identifyFields(headers) {
-    const { object } = await generateObject({
-        schema: z.object({
-            dateField: z.string().describe('The CSV header that represents the transaction date'),
-            amountField: z.string().describe('The CSV header that represents the transaction amount'),
-        }),
-        model: aiModel,
-        prompt: `Given these CSV headers: ${headers.join(', ')}\nIdentify which header represents the transaction date and which represents the transaction amount/value.`
-    });
-    return object;
+    const errors = validateFieldMapping(mapping, headers, records);
+    if (errors.length > 0) {
+        throw new Error(`Column mapping doesn't fit the data: ${errors.join('; ')}`);
+    }
+    if (!dryRun && (pin || (detected && !cached?.pinned))) {
+        saveFieldMapping(headers, mapping, { pinned: pin });
+        console.log(`${pin ? 'Pinned' : 'Saved'} the column mapping in ${FIELD_MAPPINGS_FILE}`);
+    }
+    return mapping;
 }
 
-// Helper function for CSV operations
-function escapeCsvField(field) {
-    if (field === null || field === undefined) return '';
-    const stringField = String(field);
-    if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
-        return `"${stringField.replace(/"/g, '""')}"`;
-    }
-    return stringField;
+// HCB exports and the CSVs hcb_json_to_csv.js makes from them have known
+// date and amount fields, so they skip field detection
+const HCB_FIELDS = { dateField: 'date', dateFormat: 'YYYY-MM-DD', amountField: 'amount_cents', units: 'subunits', sign: 'negativeIsOutflow' };
+
+// Canonical transactions from importers.js
+const CANONICAL_FIELDS = { dateField: 'date', dateFormat: 'YYYY-MM-DD', amountField: 'amount_subunits', units: 'subunits', sign: 'negativeIsOutflow' };
+
+function isHcbCsv(headers) {
+    return ['org_id', 'date', 'amount_cents'].every(header => headers.includes(header));
 }
 
-// Common CSV parse options
-const CSV_PARSE_OPTIONS = {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true,
-    relax_column_count: true,
-    quote: '"',
-    escape: '"',
-    relaxQuotes: true
-};
+// Load transactions from an all_transactions.json export, an OFX/QFX file or a
+// CSV. Stripe payout reports and HCB CSVs are recognized by their headers, and
+// bank CSVs go through a saved column mapping profile when one is named or
+// fits. Only other CSVs have their date and amount fields identified, with
+// fieldOverrides and pinFields passed on to identifyFields. With dryRun new
+// mappings aren't saved, and files without a saved one are rejected rather
+// than sent to the model.
+async function loadTransactions(path, { profile = null, fieldOverrides = {}, pinFields = false, dryRun = false } = {}) {
+    if (path.toLowerCase().endsWith('.json')) {
+        return loadHcbTransactions(path);
+    }
+    if (/\.(ofx|qfx)$/i.test(path)) {
+        const imported = importOfx(path);
+        console.log(`Found ${imported.length} transactions in ${path}`);
+        return imported.map(record => toTransaction(record, CANONICAL_FIELDS));
+    }
 
-async function loadTransactions(csvPath) {
-    const fileContent = readFileSync(csvPath, 'utf-8');
+    const fileContent = readFileSync(path, 'utf-8');
     const records = parse(fileContent, CSV_PARSE_OPTIONS);
 
     if (records.length === 0) {
@@ -180,41 +199,84 @@ async function loadTransactions(csvPath) {
     const headers = Object.keys(records[0]);
     console.log('Found CSV headers:', headers);
 
-    // Use AI to identify date and amount fields
-    const { dateField, amountField } = await identifyFields(headers);
-    console.log(`AI identified date field as "${dateField}" and amount field as "${amountField}"`);
-
-    return records.map((record, index) => {
-        // First, process date and amount
-        const date = dateField && record[dateField] ? new Date(record[dateField]) : null;
-        // Parse amount and format as currency string
-        let amountStr = null;
-        if (amountField && record[amountField]) {
-            const amountNum = parseFloat(record[amountField].replace(/[$,]/g, '')) / 100;
-            if (!isNaN(amountNum)) {
-                amountStr = amountNum < 0 ? 
-                    `-$${Math.abs(amountNum).toFixed(2)}` :
-                    `$${amountNum.toFixed(2)}`;
-            }
+    if (isStripePayoutReport(headers)) {
+        console.log('Found a Stripe payout reconciliation report');
+        return importStripePayouts(records).map(record => toTransaction(record, CANONICAL_FIELDS));
+    }
+    const profileName = profile || findProfileForHeaders(headers)?.name;
+    if (profileName) {
+        const mapping = await bankProfile(profileName, headers, records, { dryRun });
+        console.log(`Using column mapping profile "${profileName}"`);
+        return importBankCsv(records, mapping).map(record => toTransaction(record, CANONICAL_FIELDS));
+    }
+
+    let fields;
+    if (isHcbCsv(headers) && !Object.values(fieldOverrides).some(Boolean)) {
+        fields = HCB_FIELDS;
+        console.log('Found an HCB export, using its date and amount_cents fields');
+    } else {
+        fields = await identifyFields(headers, records, { overrides: fieldOverrides, pin: pinFields, dryRun });
+        console.log(`Reading dates from "${fields.dateField}" (${fields.dateFormat}) and amounts from "${fields.amountField}" ` +
+            `(${fields.units}, ${fields.sign})`);
+    }
+
+    return records.map(record => toTransaction(record, fields));
+}
+
+// HCB v4 transactions straight from the export written by hcb_import.js, with
+// the same columns hcb_json_to_csv.js would give them. Values keep their types
+// and every receipt is included, not just the first five.
+function loadHcbTransactions(jsonPath) {
+    const organizations = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+    const { rows } = flattenOrganizations(organizations, { maxArrayItems: Infinity });
+
+    if (rows.length === 0) {
+        throw new Error(`No transactions found in ${jsonPath}`);
+    }
+    console.log(`Found ${rows.length} transactions from ${organizations.length} HCB orgs`);
+
+    return rows.map(row => toTransaction(
+        Object.fromEntries(Object.entries(row).map(([key, value]) => [key, cellValue(value)])),
+        HCB_FIELDS
+    ));
+}
+
+// Turn a record into a transaction with a Date and a USD amount string up
+// front, followed by the rest of its fields
+function toTransaction(record, fields) {
+    const { dateField, amountField } = fields;
+    const date = recordDate(record, fields);
+    // Format the amount as a USD string. Other currencies are converted with
+    // the rate on the transaction date.
+    let amountStr = null;
+    const originalCurrency = normalizeCurrency(record.currency || record.Currency);
+    const originalAmount = recordAmount(record, fields, originalCurrency);
+    if (originalAmount !== null) {
+        const usdAmount = convertToUsd(fxRates, originalAmount, originalCurrency, date);
+        if (usdAmount === null) {
+            throw new Error(`No USD rate for ${originalCurrency} on or before ${date?.toISOString()} in the FX rates table`);
         }
+        amountStr = formatUsd(usdAmount);
+    }
 
-        // Create remaining fields object excluding date and amount
-        const remainingFields = {};
-        for (const [key, value] of Object.entries(record)) {
-            if (key !== dateField && key !== amountField) {
-                remainingFields[key] = value;
-            }
+    // Create remaining fields object excluding date and amount
+    const remainingFields = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (key !== dateField && key !== amountField) {
+            remainingFields[key] = value;
         }
+    }
 
-        // Return object in specified order
-        return {
-            date,
-            amount: amountStr,
-            category: null,
-            accountId: null,
-            ...remainingFields
-        };
-    });
+    // Return object in specified order
+    return {
+        date,
+        amount: amountStr,
+        category: null,
+        accountId: null,
+        originalAmount,
+        originalCurrency,
+        ...remainingFields
+    };
 }
 
 // Function to create a unique transaction key
@@ -264,69 +326,117 @@ function serializeTransaction(transaction) {
     return JSON.stringify(serialized);
 }
 
-// Function to process all transactions
-async function processTransactions(csvPath) {
-    const transactions = await loadTransactions(csvPath);
-    console.log(`Loaded ${transactions.length} transactions`);
-
-    // Load already processed transactions to avoid duplicates
-    const processedTransactions = new Set();
-    if (existsSync('processed.csv')) {
-        const processed = parse(readFileSync('processed.csv', 'utf-8'), CSV_PARSE_OPTIONS);
-        processed.forEach(record => {
-            const key = createTransactionKey({
-                id: record.id,
-            });
-            processedTransactions.add(key);
-        });
+// Display transaction details in a pretty format
+function printTransactionDetails(transaction) {
+    console.log('\nTransaction Details:');
+    console.log('-------------------');
+    console.log(`Date: ${transaction.date?.toLocaleDateString()}`);
+    console.log(`Amount: ${transaction.amount}`);
+    console.log(`Description: ${transaction.description || 'N/A'}`);
+    console.log(`Memo: ${transaction.memo || 'N/A'}`);
+    if (transaction.comments) {
+        console.log(`Comments: ${transaction.comments}`);
     }
-
-    // Process each transaction
-    for (const transaction of transactions) {
-        // Create unique key for matching
-        const transactionKey = createTransactionKey(transaction);
-        
-        if (processedTransactions.has(transactionKey)) {
-            console.log('Skipping already processed transaction:', transactionKey);
-            continue;
+    // Display receipt URLs if they exist
+    for (const [key, value] of Object.entries(transaction)) {
+        if (key.endsWith('.url') && value) {
+            console.log(`Receipt: ${value}`);
         }
+    }
+    console.log('-------------------\n');
+}
 
-        // Find all fields containing both 'receipt' and 'url'
-        const receiptUrlFields = Object.keys(transaction).filter(field => 
-            field.toLowerCase().includes('receipt') && 
-            field.toLowerCase().includes('url') &&
-            !field.toLowerCase().includes('preview')
-        );
+// Ask a multiple choice question on the terminal and return the chosen option
+// or the custom response that was typed in
+async function askQuestion(question) {
+    const readline = require('readline').createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
 
-        // Extract receipt data for each receipt URL field
-        for (const urlField of receiptUrlFields) {
-            const receiptUrl = transaction[urlField];
-            if (receiptUrl) {
-                try {
-                    // Get receipt data (this will use cache if available)
-                    const receiptData = await getReceiptData(`${transaction.id}-${urlField}`, receiptUrl, serializeTransaction(transaction));
-
-                    // Store receipt data in a new field named after the URL field
-                    transaction[`${urlField}.extracted_contents`] = receiptData;
-                } catch (error) {
-                    console.error(`Failed to extract receipt data from ${urlField}:`, error);
-                    transaction[`${urlField}.extracted_contents`] = null;
-                }
+    return new Promise(resolve => {
+        // First display the question
+        console.log(question.thoughtfulQuestion);
+        
+        // Then show the multiple choice options
+        console.log('');
+        question.multipleChoiceOptions.forEach((option, i) => {
+            console.log(`${i + 1}. ${option}`);
+        });
+
+        readline.question('\nPick an option (or type any custom response): ', answer => {
+            const num = parseInt(answer);
+            if (num >= 1 && num <= question.multipleChoiceOptions.length) {
+                // If they entered a valid number, use that choice
+                resolve(question.multipleChoiceOptions[num - 1]);
+            } else {
+                // Otherwise treat their input as a custom answer
+                resolve(answer.trim());
             }
-        }
+            readline.close();
+        });
+    });
+}
 
-        const { object } = await generateObject({
-            schema: z.object({
-                accountName: z.string().describe('The name of the account in the chart of accounts'),
-                accountId: z.string().describe('The ID of the account in the chart of accounts'),
-                questions: z.array(z.object({
-                    thoughtfulQuestion: z.string().describe("Keep it concise. Don't repeat transaction info or answers."),
-                    multipleChoiceOptions: z.array(z.string()).describe("Contains the possible answers. Don't have other as an option. Keep it short")
-                })).describe('Questions to ask the user if you need additional information')
-            }),
-            model: aiModel,
-            prompt: `
-You are a bookeeper for a nonprofit organization. You prize accuracy and
+// Only leaf accounts can be booked to, so the schema only accepts their ids
+function accountIdSchema() {
+    const leafIds = getLeafAccounts(chartOfAccounts).map(account => account.id);
+    return z.enum(leafIds);
+}
+
+// Lets a reviewer tell a sure call from a coin flip
+function reasoningFields() {
+    return {
+        confidence: z.number().min(0).max(1).describe('How sure you are that this is the right account, from 0 to 1'),
+        evidence: z.array(z.object({
+            source: z.enum(['merchant', 'receipt', 'memo', 'other']),
+            detail: z.string().describe('The exact merchant name, receipt line item or memo text you relied on')
+        })).describe('The facts from the transaction that led to this account'),
+        runnerUps: z.array(z.object({
+            accountId: accountIdSchema(),
+            accountName: z.string(),
+            confidence: z.number().min(0).max(1)
+        })).describe('Up to 2 other accounts that could also fit, most likely first')
+    };
+}
+
+// Per line item accounts, for receipts that cover more than one account
+function splitFields() {
+    return {
+        lineItemAccounts: z.array(z.object({
+            item: z.number().int().describe('The line item number from the receipt line items list'),
+            accountId: accountIdSchema()
+        })).describe('Only when receipt line items belong in different accounts (e.g. food, prizes and shipping on one order): the account for each line item. Leave empty when everything belongs in one account.')
+    };
+}
+
+// Numbered receipt line items for the prompt, empty when there's nothing to split
+function formatSplitInstructions(transaction) {
+    const lineItems = receiptLineItems(transaction);
+    if (lineItems.items.length < 2) return '';
+    return `
+Receipt line items:
+${formatLineItems(lineItems)}
+
+If these line items belong in different accounts, list each item's account in
+lineItemAccounts and the transaction will be split between them.
+`;
+}
+
+// Appended to a categorization prompt when the previous answer was rejected
+function formatFeedback(feedback) {
+    if (!feedback || feedback.length === 0) return '';
+    return `
+Your previous answer was rejected:
+- ${feedback.join('\n- ')}
+Pick an account that fixes these problems.
+`;
+}
+
+// Instructions at the top of the first categorization prompt.
+// CATEGORIZE_PROMPT_FILE replaces them with a variant to try, e.g. in the
+// categorization benchmark.
+const DEFAULT_CATEGORIZE_INSTRUCTIONS = `You are a bookeeper for a nonprofit organization. You prize accuracy and
 reliability of the books so the money can be spend as effectively as possible.
 
 Given the following transaction and chart of accounts, determine the account
@@ -341,166 +451,798 @@ asking any questions - do so. But accuracy is important, so if you need more
 info, you can ask the user 1 or 2 well-thought-out follow up question if you
 to determine where in the chart of accounts the transaction belongs.
 
-You only get 1 chance to ask the user for information, so make it count.
+You only get 1 chance to ask the user for information, so make it count.`;
+const categorizeInstructions = process.env.CATEGORIZE_PROMPT_FILE ?
+    readFileSync(process.env.CATEGORIZE_PROMPT_FILE, 'utf-8').trim() :
+    DEFAULT_CATEGORIZE_INSTRUCTIONS;
+
+// First categorization pass, the model may ask a follow up question
+async function categorizeTransaction(transaction, feedback) {
+    const { object } = await generateObject({
+        schema: z.object({
+            accountName: z.string().describe('The name of the account in the chart of accounts'),
+            accountId: accountIdSchema().describe('The ID of the account in the chart of accounts'),
+            ...reasoningFields(),
+            ...splitFields(),
+            questions: z.array(z.object({
+                thoughtfulQuestion: z.string().describe("Keep it concise. Don't repeat transaction info or answers."),
+                multipleChoiceOptions: z.array(z.string()).describe("Contains the possible answers. Don't have other as an option. Keep it short")
+            })).describe('Questions to ask the user if you need additional information')
+        }),
+        model: categorizeModel,
+        prompt: `
+${categorizeInstructions}
 
-Transaction (amount is in cents): ${serializeTransaction(transaction)}
+Transaction (amount is in USD): ${serializeTransaction(transaction)}
 
 Chart of Accounts:
-${printChartOfAccounts()}
-`
-        });
+${printChartOfAccounts(getCategorizableSections(chartOfAccounts))}
+${formatSplitInstructions(transaction)}${formatFeedback(feedback)}`
+    });
+    return object;
+}
+
+// Second categorization pass once the user has answered the model's question
+async function categorizeWithAnswer(transaction, question, answer, feedback) {
+    const { object: categorization } = await generateObject({
+        schema: z.object({
+            accountName: z.string().describe('The category for this transaction'),
+            accountId: accountIdSchema().describe('The account ID for this transaction'),
+            ...reasoningFields(),
+            ...splitFields()
+        }),
+        model: categorizeModel,
+        prompt: `Given the following transaction and user input, determine the category and account ID for the transaction. Read all the fields in transaction, there may be metadata or receipt data that can help. Look at whether the amount is positive or negative. Positive = income, negative = expense.
+                
+                Transaction: ${serializeTransaction(transaction)}
+                Chart of Accounts:
+${printChartOfAccounts(getCategorizableSections(chartOfAccounts))}
+                
+                Question: ${question.thoughtfulQuestion}
+                User's answer: ${answer}
+                
+                Based on this information, determine the appropriate category and account ID.
+${formatSplitInstructions(transaction)}${formatFeedback(feedback)}`
+    });
+    return categorization;
+}
 
-        let accountName = object.accountName;
-        let accountId = object.accountId;
+// Check a categorization against the chart: the id must be a categorizable
+// leaf account, the name must match it, and income/expense (or transfer
+// in/out) must agree with the amount's sign
+function validateCategorization(transaction, { accountId, accountName }) {
+    const account = findAccount(chartOfAccounts, accountId);
+    if (!account) {
+        return [`Account ID "${accountId}" is not in the chart of accounts`];
+    }
+    if (account.subAccounts) {
+        return [`Account ${accountId} (${account.name}) has sub-accounts, pick one of them instead`];
+    }
+    if (!CATEGORIZABLE_TYPES.includes(account.type)) {
+        return [`Account ${accountId} (${account.name}) is a balance sheet account, pick an income, expense, transfer or fee account`];
+    }
 
-        let questions = object.questions;
+    const errors = [];
+    const normalize = name => String(name || '').trim().toLowerCase();
+    const fullName = getFullAccountName(chartOfAccounts, accountId);
+    if (normalize(accountName) !== normalize(account.name) && normalize(accountName) !== normalize(fullName)) {
+        errors.push(`Account name "${accountName}" doesn't match account ${accountId}, which is "${account.name}"`);
+    }
 
-        if (questions && questions.length > 0) {
-            const question = questions[0];
+    const amount = parseUsd(transaction.amount);
+    if (amount > 0 && account.type === 'expenses') {
+        errors.push(`Amount ${transaction.amount} is positive (income) but account ${accountId} is an expense account`);
+    }
+    if (amount < 0 && account.type === 'income') {
+        errors.push(`Amount ${transaction.amount} is negative (expense) but account ${accountId} is an income account`);
+    }
+    const sign = INTERNAL_ACCOUNT_SIGNS[account.internal];
+    if (sign && amount * sign < 0) {
+        errors.push(`Amount ${transaction.amount} is ${amount < 0 ? 'negative' : 'positive'} but account ${accountId} (${account.name}) only takes ${sign < 0 ? 'outgoing' : 'incoming'} money`);
+    }
+    return errors;
+}
 
-            // Display transaction details in a pretty format
-            console.log('\nTransaction Details:');
-            console.log('-------------------');
-            console.log(`Date: ${transaction.date?.toLocaleDateString()}`);
-            console.log(`Amount: ${transaction.amount}`);
-            console.log(`Description: ${transaction.description || 'N/A'}`);
-            console.log(`Memo: ${transaction.memo || 'N/A'}`);
-            if (transaction.comments) {
-                console.log(`Comments: ${transaction.comments}`);
+// Run a categorization step, re-asking the model with the validation errors
+// until it returns a valid account or runs out of attempts. Every rejected
+// answer is logged to corrections.jsonl.
+async function categorizeWithValidation(transaction, categorize) {
+    const rejected = [];
+    let result = null;
+    let feedback = null;
+
+    for (let attempt = 1; attempt <= MAX_CATEGORIZATION_ATTEMPTS; attempt++) {
+        try {
+            result = await categorize(feedback);
+        } catch (error) {
+            // Models without structured outputs can still answer outside the enum
+            if (!NoObjectGeneratedError.isInstance(error)) throw error;
+            result = null;
+            feedback = schemaErrorFeedback(transaction, error);
+            console.warn(`Rejected response for ${createTransactionKey(transaction)}: ${feedback.join('; ')}`);
+            rejected.push({ response: error.text, errors: feedback });
+            continue;
+        }
+
+        const errors = validateCategorization(transaction, result);
+        if (errors.length === 0) {
+            if (rejected.length > 0) {
+                logCorrection(transaction, rejected, result);
             }
-            // Display receipt URLs if they exist
-            for (const [key, value] of Object.entries(transaction)) {
-                if (key.endsWith('.url') && value) {
-                    console.log(`Receipt: ${value}`);
+            return { ...result, valid: true };
+        }
+
+        console.warn(`Rejected account ${result.accountId} for ${createTransactionKey(transaction)}: ${errors.join('; ')}`);
+        rejected.push({ accountId: result.accountId, accountName: result.accountName, errors });
+        feedback = errors;
+    }
+
+    logCorrection(transaction, rejected, null);
+    return { ...result, valid: false, errors: feedback };
+}
+
+// Explain a response that failed schema validation in chart terms where possible
+function schemaErrorFeedback(transaction, error) {
+    try {
+        const response = JSON.parse(error.text);
+        const errors = response?.accountId ? validateCategorization(transaction, response) : [];
+        if (errors.length > 0) return errors;
+    } catch {
+        // Not JSON, fall through to the generic message
+    }
+    return [`Your answer didn't match the required schema: ${error.cause?.message || error.message}`];
+}
+
+function logCorrection(transaction, rejected, accepted) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        transactionId: createTransactionKey(transaction),
+        rejected,
+        accepted: accepted ? { accountId: accepted.accountId, accountName: accepted.accountName } : null,
+        outcome: accepted ? 'corrected' : 'review'
+    };
+    writeFileSync(CORRECTIONS_LOG_FILE, JSON.stringify(entry) + '\n', { flag: 'a' });
+}
+
+// Stand-in question for manual review when the model never produced a valid account
+function invalidCategorizationQuestion(categorization) {
+    return {
+        thoughtfulQuestion: `Which account should this transaction be booked to? The model's answers were rejected: ${(categorization.errors || []).join('; ')}`,
+        multipleChoiceOptions: []
+    };
+}
+
+// Original currency, USD value and realized FX variance for a transaction.
+// A USD card charge for a receipt in another currency is valued at the
+// receipt total converted on the receipt date, and the difference from what
+// the card was actually charged is realized FX variance. A difference beyond
+// the FX tolerance is more likely a misread or partial receipt than exchange
+// rates, so the card amount is kept and reconcile.js reports the mismatch.
+function currencyColumns(transaction) {
+    const cardAmount = parseUsd(transaction.amount);
+    const unchanged = {
+        originalAmount: transaction.originalAmount ?? cardAmount,
+        originalCurrency: transaction.originalCurrency || 'USD',
+        usdAmount: cardAmount,
+        fxVariance: 0
+    };
+    if (unchanged.originalCurrency !== 'USD') return unchanged;
+
+    const receipts = Object.entries(transaction)
+        .filter(([key, receipt]) => key.endsWith('.extracted_contents') && receipt?.total_amount_subunits !== undefined)
+        .map(([, receipt]) => receipt);
+    const currency = normalizeCurrency(receipts[0]?.currency);
+    if (currency === 'USD' || receipts.some(receipt => normalizeCurrency(receipt.currency) !== currency)) {
+        return unchanged;
+    }
+
+    const sign = cardAmount < 0 ? -1 : 1;
+    const receiptAmount = sign * subunitsToMajor(
+        receipts.reduce((sum, receipt) => sum + receipt.total_amount_subunits, 0),
+        currency
+    );
+    const usdAmount = convertToUsd(fxRates, receiptAmount, currency, receipts[0].date || transaction.date);
+    if (usdAmount === null) {
+        console.warn(`No USD rate for ${currency} in the FX rates table, can't value the receipt for ${createTransactionKey(transaction)}`);
+        return { originalAmount: receiptAmount, originalCurrency: currency, usdAmount: '', fxVariance: '' };
+    }
+    if (Math.abs(cardAmount - usdAmount) > Math.abs(cardAmount) * DEFAULT_FX_TOLERANCE) {
+        console.warn(`Receipt for ${createTransactionKey(transaction)} is ${Math.abs(usdAmount).toFixed(2)} USD ` +
+            `(${Math.abs(receiptAmount)} ${currency}) against a card charge of ${Math.abs(cardAmount).toFixed(2)}, ` +
+            `beyond the ${DEFAULT_FX_TOLERANCE * 100}% FX tolerance, booking the card amount`);
+        return unchanged;
+    }
+    return {
+        originalAmount: receiptAmount,
+        originalCurrency: currency,
+        usdAmount,
+        fxVariance: roundUsd(cardAmount - usdAmount)
+    };
+}
+
+// Turn the model's per line item accounts into allocations of the card
+// amount. Falls back to a single account if any split account fails the
+// usual checks.
+function allocateSplits(transaction, categorization) {
+    const amountCents = Math.round(parseUsd(transaction.amount) * 100);
+    if (!categorization.lineItemAccounts?.length || isNaN(amountCents)) return [];
+
+    const splits = computeSplits(amountCents, categorization.accountId, receiptLineItems(transaction), categorization.lineItemAccounts);
+    for (const split of splits) {
+        const account = findAccount(chartOfAccounts, split.accountId);
+        const errors = validateCategorization(
+            { ...transaction, amount: formatUsd(split.amountCents / 100) },
+            { accountId: split.accountId, accountName: account?.name }
+        );
+        if (errors.length > 0) {
+            console.warn(`Not splitting ${createTransactionKey(transaction)}: ${errors.join('; ')}`);
+            return [];
+        }
+    }
+    return splits;
+}
+
+// Append a categorized transaction to processed.csv (or outputPath), one row
+// per split when the receipt's line items were allocated to several accounts
+function saveProcessedTransaction(transaction, categorization, { outputPath = DEFAULT_PROCESSED_FILE } = {}) {
+    const currency = currencyColumns(transaction);
+    const splits = categorization.splits || [];
+    if (splits.length < 2) {
+        writeProcessedRow(outputPath, transaction, categorization, { splitIndex: '', splitOf: '' }, currency);
+        return;
+    }
+
+    // Each split takes its share of the original amount and FX variance
+    const totalCents = splits.reduce((sum, split) => sum + split.amountCents, 0);
+    const share = (value, split) => value === '' ? '' : roundUsd(value * split.amountCents / totalCents);
+
+    transaction.accountName = getFullAccountName(chartOfAccounts, categorization.accountId);
+    splits.forEach((split, index) => {
+        writeProcessedRow(
+            outputPath,
+            { ...transaction, amount: formatUsd(split.amountCents / 100) },
+            { ...categorization, accountId: split.accountId },
+            { splitIndex: `${index + 1}/${splits.length}`, splitOf: transaction.amount },
+            {
+                originalAmount: share(currency.originalAmount, split),
+                originalCurrency: currency.originalCurrency,
+                usdAmount: share(currency.usdAmount, split),
+                fxVariance: share(currency.fxVariance, split)
+            }
+        );
+    });
+}
+
+// Columns writeProcessedRow adds for the categorization. A processed.csv read
+// back in still has them, and they'd give the answer away to the model.
+const CATEGORIZATION_COLUMNS = ['category', 'accountId', 'accountName', 'chartVersion', 'confidence', 'evidence', 'runnerUps', 'ruleId', 'splitIndex', 'splitOf'];
+
+// Write one processed.csv row by column name, writing the header first if the
+// file doesn't exist yet. Rows record the chart version they were categorized against, the
+// model's confidence and reasoning, and the original currency amounts.
+function writeProcessedRow(outputPath, transaction, categorization, split, currency) {
+    const { accountId } = categorization;
+    transaction.accountName = getFullAccountName(chartOfAccounts, accountId);
+    transaction.accountId = accountId;
+    transaction.chartVersion = chartOfAccounts.version;
+    transaction.confidence = categorization.confidence ?? '';
+    transaction.evidence = (categorization.evidence || [])
+        .map(({ source, detail }) => `${source}: ${detail}`)
+        .join(' | ');
+    transaction.runnerUps = (categorization.runnerUps || [])
+        .map(({ accountId, confidence }) => `${getFullAccountName(chartOfAccounts, accountId)} (${accountId}, ${confidence})`)
+        .join(' | ');
+    transaction.ruleId = categorization.ruleId || '';
+    transaction.splitIndex = split.splitIndex;
+    transaction.splitOf = split.splitOf;
+    Object.assign(transaction, currency);
+
+    const row = Object.fromEntries(Object.entries(transaction).map(([column, value]) => [
+        column,
+        value instanceof Date ? value.toISOString() :
+            typeof value === 'object' && value !== null ? JSON.stringify(value) : value
+    ]));
+
+    let header = processedHeader(outputPath);
+    if (!header) {
+        header = Object.keys(row);
+        writeFileSync(outputPath, header.map(escapeCsvField).join(',') + '\n');
+        processedHeaders.set(outputPath, header);
+    }
+
+    // Rows are written under the file's own header, so a column this run
+    // has that earlier runs didn't (like a fifth receipt) widens the file
+    const added = Object.keys(row)
+        .filter(column => !header.includes(column) && row[column] != null && row[column] !== '');
+    if (added.length > 0) {
+        header = addProcessedColumns(outputPath, header, added);
+    }
+
+    writeFileSync(outputPath, header.map(column => escapeCsvField(row[column])).join(',') + '\n', { flag: 'a' });
+}
+
+// The header of each processed.csv written to, read once per run
+const processedHeaders = new Map();
+
+function processedHeader(outputPath) {
+    if (!processedHeaders.has(outputPath)) {
+        const [header] = existsSync(outputPath) ?
+            parse(readFileSync(outputPath, 'utf-8'), { to_line: 1 }) : [];
+        processedHeaders.set(outputPath, header || null);
+    }
+    return processedHeaders.get(outputPath);
+}
+
+// Rewrite processed.csv with the new columns at the end, leaving them empty in
+// the rows already there
+function addProcessedColumns(outputPath, header, added) {
+    const widened = [...header, ...added];
+    const rows = readCsv(outputPath)
+        .map(record => widened.map(column => record[column] ?? ''));
+    writeCsv(outputPath, widened, rows);
+    processedHeaders.set(outputPath, widened);
+    console.log(`Added ${added.join(', ')} to the columns of ${outputPath}`);
+    return widened;
+}
+
+// Transfers between funds and fiscal sponsorship fees linked by
+// hcb_json_to_csv.js go straight to their accounts
+function categorizeInternal(transaction) {
+    let role = null;
+    if (transaction.internal_type === 'fee') {
+        role = 'fiscalSponsorshipFee';
+    } else if (transaction.internal_type === 'transfer') {
+        role = parseUsd(transaction.amount) < 0 ? 'transferOut' : 'transferIn';
+    }
+    const account = role && findInternalAccount(chartOfAccounts, role);
+    if (!account) return null;
+
+    const detail = transaction.internal_type === 'fee' ?
+        'Fiscal sponsorship fee paid to HCB' :
+        `Linked to transaction ${transaction.linked_transaction_id} in org ${transaction.linked_org_id}`;
+    const categorization = {
+        accountId: account.id,
+        accountName: account.name,
+        confidence: 1,
+        evidence: [{ source: 'other', detail }],
+        runnerUps: []
+    };
+    const errors = validateCategorization(transaction, categorization);
+    if (errors.length > 0) {
+        console.warn(`Internal ${transaction.internal_type} doesn't fit ${createTransactionKey(transaction)}: ${errors.join('; ')}`);
+        return null;
+    }
+    return categorization;
+}
+
+// Categorize with the first matching rule, as long as the rule's account still
+// passes the same checks a model answer would
+function categorizeWithRules(transaction) {
+    const rule = findMatchingRule(transaction);
+    if (!rule) return null;
+
+    const categorization = {
+        accountId: rule.accountId,
+        accountName: findAccount(chartOfAccounts, rule.accountId)?.name,
+        confidence: 1,
+        evidence: [{ source: 'other', detail: `Rule ${describeRule(rule)}` }],
+        runnerUps: [],
+        ruleId: rule.id
+    };
+    const errors = validateCategorization(transaction, categorization);
+    if (errors.length > 0) {
+        console.warn(`Rule ${rule.id} doesn't fit ${createTransactionKey(transaction)}: ${errors.join('; ')}`);
+        return null;
+    }
+    return categorization;
+}
+
+// Turn a human-confirmed answer into a rule so the merchant skips the model next time
+function learnRuleFromAnswer(transaction, accountId) {
+    const rule = learnRule(transaction, accountId);
+    if (rule && !rule.enabled) {
+        console.log(`Not learning from the answer, rule ${rule.id} is disabled. ` +
+            `Run bun manage_rules.js enable ${rule.id} to use it again.`);
+    } else if (rule) {
+        console.log(`Saved rule ${describeRule(rule)}`);
+    }
+}
+
+// Stand-in question for manual review when the model's confidence is below
+// the threshold, offering its pick and the runner-ups as options
+function lowConfidenceQuestion(categorization) {
+    const options = [categorization, ...(categorization.runnerUps || [])]
+        .map(({ accountId }) => `${getFullAccountName(chartOfAccounts, accountId)} (${accountId})`);
+    return {
+        thoughtfulQuestion: `The model is only ${Math.round(categorization.confidence * 100)}% sure about this one. Which account should it be booked to?`,
+        multipleChoiceOptions: [...new Set(options)]
+    };
+}
+
+// Find all fields containing both 'receipt' and 'url'
+function receiptUrlFieldsOf(transaction) {
+    return Object.keys(transaction).filter(field =>
+        field.toLowerCase().includes('receipt') &&
+        field.toLowerCase().includes('url') &&
+        !field.toLowerCase().includes('preview')
+    );
+}
+
+// The extraction columns for one receipt: its details in extracted_contents
+// when it was read, and the extraction status (success, not_a_receipt,
+// unreadable, download_failed or error) with what went wrong in
+// extraction_detail. A null result clears them, for receipts that aren't
+// extracted.
+function setReceiptColumns(transaction, urlField, result) {
+    transaction[`${urlField}.extracted_contents`] = result?.status === 'success' ? result.receipt : null;
+    transaction[`${urlField}.extraction_status`] = result?.status ?? null;
+    transaction[`${urlField}.extraction_detail`] = result?.detail ?? null;
+}
+
+// Extract every receipt on a transaction into its extracted_contents fields.
+// They're extracted one after another so each one's context includes the
+// receipts before it.
+async function extractReceipts(transaction, receiptUrlFields) {
+    for (const urlField of receiptUrlFields) {
+        const receiptUrl = transaction[urlField];
+        if (receiptUrl) {
+            try {
+                // Get receipt data (this will use cache if available)
+                const { result } = await getReceiptData(`${transaction.id}-${urlField}`, receiptUrl, serializeTransaction(transaction));
+                if (result.status !== 'success') {
+                    console.warn(`Receipt ${urlField} of ${transaction.id} is ${result.status}: ${result.detail}`);
                 }
+                setReceiptColumns(transaction, urlField, result);
+            } catch (error) {
+                console.error(`Failed to extract receipt data from ${urlField}:`, error);
+                setReceiptColumns(transaction, urlField, { status: 'error', detail: error.message });
             }
-            console.log('-------------------\n');
+        }
+    }
+}
 
-            // Get user input via readline
-            const readline = require('readline').createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
+// Extractions are reused for the same receipt content, model and prompt
+function receiptExtractionKey() {
+    return { model: getModelSpec('receipts'), promptVersion: RECEIPT_PROMPT_VERSION };
+}
 
-            const selectedAnswer = await new Promise(resolve => {
-                // First display the question
-                console.log(question.thoughtfulQuestion);
-                
-                // Then show the multiple choice options
-                console.log('');
-                question.multipleChoiceOptions.forEach((option, i) => {
-                    console.log(`${i + 1}. ${option}`);
-                });
-
-                readline.question('\nPick an option (or type any custom response): ', answer => {
-                    const num = parseInt(answer);
-                    if (num >= 1 && num <= question.multipleChoiceOptions.length) {
-                        // If they entered a valid number, use that choice
-                        resolve(question.multipleChoiceOptions[num - 1]);
-                    } else {
-                        // Otherwise treat their input as a custom answer
-                        resolve(answer.trim());
-                    }
-                    readline.close();
-                });
-            });
+// Does a receipt id or content hash prefix (at least 8 characters) in
+// selectors pick this receipt? No selectors picks every receipt.
+function selectsReceipt(selectors, receiptId, hash) {
+    return selectors.length === 0 ||
+        selectors.some(selector => selector === receiptId || (selector.length >= 8 && hash?.startsWith(selector)));
+}
 
-            console.log(`\nRecorded answer: ${selectedAnswer}\n`);
+// Receipts on the transactions in inputPath that filter accepts, narrowed to
+// the receipt ids or hashes in selectors
+async function selectReceipts(inputPath, { profile, fieldOverrides, filter, selectors, dryRun }) {
+    const transactions = (await loadTransactions(inputPath, { profile, fieldOverrides, dryRun })).filter(filter);
+    const sources = loadReceiptSources();
+    return transactions.flatMap(transaction => receiptUrlFieldsOf(transaction)
+        .filter(urlField => transaction[urlField])
+        .map(urlField => ({ transaction, urlField, receiptId: `${transaction.id}-${urlField}` }))
+        .filter(({ receiptId }) => selectsReceipt(selectors, receiptId, sources[receiptId]?.hash)));
+}
 
-            const { object: categorization } = await generateObject({
-                schema: z.object({
-                    accountName: z.string().describe('The category for this transaction'),
-                    accountId: z.string().describe('The account ID for this transaction')
-                }),
-                model: aiModel,
-                prompt: `Given the following transaction and user input, determine the category and account ID for the transaction. Read all the fields in transaction, there may be metadata or receipt data that can help. Look at whether the amount is positive or negative. Positive = income, negative = expense.
-                
-                Transaction: ${serializeTransaction(transaction)}
-                Chart of Accounts:
-${printChartOfAccounts()}
-                
-                Question: ${question.thoughtfulQuestion}
-                User's answer: ${selectedAnswer}
-                
-                Based on this information, determine the appropriate category and account ID.`
-            });
+// Extract the receipts of every transaction filter accepts into the receipt
+// cache without categorizing anything, so categorization later doesn't wait on
+// them. receipts narrows it to some receipt ids or content hashes, and force
+// extracts them again even when the cache has them. With dryRun only the
+// receipts still to extract are counted. Returns
+// { receipts, cached, extracted, failed, statuses } where statuses counts the
+// receipts by extraction status.
+async function extractAllReceipts(inputPath, {
+    concurrency = 4,
+    profile = null,
+    fieldOverrides = {},
+    filter = () => true,
+    receipts: selectors = [],
+    force = false,
+    dryRun = false
+} = {}) {
+    const receipts = await selectReceipts(inputPath, { profile, fieldOverrides, filter, selectors, dryRun });
+    const key = receiptExtractionKey();
+    const summary = { receipts: receipts.length, cached: 0, extracted: 0, failed: 0, statuses: {} };
+
+    if (dryRun) {
+        // Receipts whose URL changed may turn out to be cached once downloaded
+        summary.cached = force ? 0 : receipts.filter(({ transaction, urlField, receiptId }) => {
+            const hash = knownReceiptHash(receiptId, transaction[urlField]);
+            return hash && cachedExtraction(hash, key) !== undefined;
+        }).length;
+        console.log(`Would extract ${receipts.length - summary.cached} of ${receipts.length} receipts with ${key.model}`);
+        return summary;
+    }
 
-            accountName = categorization.accountName;
-            accountId = categorization.accountId;
+    await mapPool(receipts, concurrency, async ({ transaction, urlField, receiptId }) => {
+        try {
+            const { result, cached } = await getReceiptData(receiptId, transaction[urlField], serializeTransaction(transaction), { force });
+            summary.statuses[result.status] = (summary.statuses[result.status] || 0) + 1;
+            if (result.status === 'download_failed') {
+                summary.failed++;
+                console.error(`Failed to download ${receiptId}: ${result.detail}`);
+            } else if (cached) {
+                summary.cached++;
+            } else {
+                summary.extracted++;
+                console.log(`Extracted ${receiptId}: ${result.status}${result.detail ? ` (${result.detail})` : ''}`);
+            }
+        } catch (error) {
+            summary.failed++;
+            summary.statuses.error = (summary.statuses.error || 0) + 1;
+            console.error(`Failed to extract ${receiptId}:`, error.message);
         }
+    });
+    console.log(`Extracted ${summary.extracted} receipts, ${summary.cached} were already extracted and ${summary.failed} failed`);
+    return summary;
+}
 
-        // Get account name from chart of accounts and format with parent hierarchy
-        const getFullAccountName = (accountId) => {
-            const parts = [];
-            
-            // Helper function to search through nested accounts
-            const findAccount = (obj) => {
-                if (obj.id === accountId) return obj;
-                if (obj.subAccounts) {
-                    for (const subAccount of Object.values(obj.subAccounts)) {
-                        const found = findAccount(subAccount);
-                        if (found) return found;
-                    }
-                }
-                return null;
-            };
-            
-            // Search through top level accounts
-            let current = null;
-            for (const topAccount of Object.values(CHART_OF_ACCOUNTS)) {
-                current = findAccount(topAccount);
-                if (current) break;
+// Delete stored extractions so those receipts are extracted again: every
+// extraction of the receipts on the transactions in inputPath that filter
+// accepts and of the receipt ids or content hashes in receipts. stale limits
+// it to extractions from another model or prompt version, and on its own
+// cleans those out of the whole cache. Returns { removed }.
+async function invalidateReceipts(inputPath, {
+    profile = null,
+    fieldOverrides = {},
+    filter = () => true,
+    receipts: selectors = [],
+    stale = false,
+    dryRun = false
+} = {}) {
+    if (!inputPath && selectors.length === 0 && !stale) {
+        throw new Error('Pick the receipts to invalidate with --input, --receipt or --stale');
+    }
+
+    let hashes = null;
+    if (inputPath || selectors.length > 0) {
+        const sources = loadReceiptSources();
+        hashes = new Set();
+        if (inputPath) {
+            for (const { receiptId } of await selectReceipts(inputPath, { profile, fieldOverrides, filter, selectors, dryRun })) {
+                if (sources[receiptId]) hashes.add(sources[receiptId].hash);
             }
-            
-            // Build the hierarchy path
-            while (current) {
-                parts.unshift(current.name);
-                // Search for parent by looking through all accounts again
-                const parentId = current.parentId;
-                current = parentId ? findAccount(CHART_OF_ACCOUNTS) : null;
+        } else {
+            for (const [receiptId, { hash }] of Object.entries(sources)) {
+                if (selectsReceipt(selectors, receiptId, hash)) hashes.add(hash);
+            }
+            for (const { hash } of listExtractions()) {
+                if (selectsReceipt(selectors, null, hash)) hashes.add(hash);
             }
-            
-            return parts.join(' > ');
-        };
-        transaction.accountName = getFullAccountName(accountId);
-        transaction.accountId = accountId;
-
-        // Prepare CSV fields with proper escaping
-        const fields = [
-            transaction.date ? transaction.date.toISOString() : '',
-            transaction.amount,
-            transaction.category || '',
-            transaction.accountId || '',
-            ...Object.values(transaction).slice(4).map(val => 
-                typeof val === 'object' && val !== null && !(val instanceof Date) 
-                    ? JSON.stringify(val) 
-                    : val
-            )
-        ].map(escapeCsvField);
-
-        // Save to processed.csv
-        const csvLine = fields.join(',') + '\n';
-        
-        if (!existsSync('processed.csv')) {
-            const headerFields = [
-                'date',
-                'amount',
-                'category',
-                'accountId',
-                ...Object.keys(transaction).slice(4)
-            ].map(escapeCsvField);
-            
-            writeFileSync('processed.csv', headerFields.join(',') + '\n');
         }
+    }
+
+    const key = receiptExtractionKey();
+    const removed = removeExtractions(listExtractions().filter(extraction =>
+        (!hashes || hashes.has(extraction.hash)) &&
+        (!stale || extraction.model !== key.model || extraction.promptVersion !== key.promptVersion)
+    ), { dryRun });
+    console.log(`${dryRun ? 'Would remove' : 'Removed'} ${removed.length} stored extractions`);
+    return { removed: removed.map(({ hash, model, promptVersion }) => ({ hash, model, promptVersion })) };
+}
+
+// The model's categorization of one transaction, with a question when the
+// model asked one, never gave a valid account or is less sure than
+// minConfidence. answerQuestion(question) returns the answer, or null to leave
+// the question for later, and the model categorizes again with the answer.
+// Returns { categorization, question, answer }: categorization is the answered
+// one when there was an answer, which may still be invalid, and question is
+// null when none was needed.
+async function categorizeWithQuestions(transaction, answerQuestion, { minConfidence = 0 } = {}) {
+    const firstPass = await categorizeWithValidation(
+        transaction,
+        feedback => categorizeTransaction(transaction, feedback)
+    );
+
+    // Ask the model's own question if it has one, otherwise a human has to
+    // pick the account when the model never gave a valid one or isn't
+    // confident enough
+    let question = firstPass.questions?.[0];
+    if (!question && !firstPass.valid) {
+        question = invalidCategorizationQuestion(firstPass);
+    } else if (!question && firstPass.confidence < minConfidence) {
+        question = lowConfidenceQuestion(firstPass);
+    }
+    if (!question) {
+        return { categorization: firstPass, question: null, answer: null };
+    }
+
+    const answer = await answerQuestion(question);
+    if (answer === null) {
+        return { categorization: firstPass, question, answer };
+    }
+    const answered = await categorizeWithValidation(
+        transaction,
+        feedback => categorizeWithAnswer(transaction, question, answer, feedback)
+    );
+    return { categorization: answered, question, answer };
+}
+
+// Categorize one transaction the way processTransactions does, without rules
+// or saving anything. answerQuestion(question) stands in for the person at
+// the terminal. Returns { categorization, question, answer, internal } where
+// question is null when none was asked, and internal is set for linked
+// transfers and fees, which never reach the model.
+async function categorizeUnattended(transaction, answerQuestion, { minConfidence = 0 } = {}) {
+    const internal = categorizeInternal(transaction);
+    if (internal) {
+        return { categorization: internal, question: null, answer: null, internal: true };
+    }
+    await extractReceipts(transaction, receiptUrlFieldsOf(transaction));
+    const { categorization, question, answer } = await categorizeWithQuestions(transaction, answerQuestion, { minConfidence });
+    return { categorization, question, answer, internal: false };
+}
+
+// Function to process all transactions. Categorizations with a confidence
+// below minConfidence go to review even when the model asked no questions.
+// Only transactions filter accepts are categorized, and they're appended to
+// outputPath. With dryRun nothing is categorized or written, the counts just
+// say what would happen. Returns { loaded, selected, skipped, categorized, queued }.
+async function processTransactions(inputPath, {
+    outputPath = DEFAULT_PROCESSED_FILE,
+    batch = false,
+    minConfidence = 0,
+    extractConcurrency = 4,
+    profile = null,
+    fieldOverrides = {},
+    pinFields = false,
+    filter = () => true,
+    dryRun = false
+} = {}) {
+    const transactions = (await loadTransactions(inputPath, { profile, fieldOverrides, pinFields, dryRun }))
+        .filter(filter);
+    console.log(`Loaded ${transactions.length} transactions`);
+    const summary = { loaded: transactions.length, selected: 0, skipped: 0, categorized: 0, queued: 0 };
+
+    // Load already processed transactions to avoid duplicates
+    const processedTransactions = new Set();
+    if (existsSync(outputPath)) {
+        const processed = parse(readFileSync(outputPath, 'utf-8'), CSV_PARSE_OPTIONS);
+        processed.forEach(record => {
+            const key = createTransactionKey({
+                id: record.id,
+            });
+            processedTransactions.add(key);
+        });
+    }
+
+    // Transactions still to categorize
+    const pending = [];
+    for (const transaction of transactions) {
+        // Create unique key for matching
+        const transactionKey = createTransactionKey(transaction);
         
-        writeFileSync('processed.csv', csvLine, { flag: 'a' });
+        if (processedTransactions.has(transactionKey)) {
+            console.log('Skipping already processed transaction:', transactionKey);
+            summary.skipped++;
+            continue;
+        }
+
+        if (isQueuedForReview(transactionKey)) {
+            console.log('Skipping transaction waiting in review queue:', transactionKey);
+            summary.skipped++;
+            continue;
+        }
+
+        const receiptUrlFields = receiptUrlFieldsOf(transaction);
+
+        // Every row gets the same extraction columns, even when there is no
+        // receipt or a rule skips extraction, so processed.csv stays aligned
+        for (const urlField of receiptUrlFields) {
+            setReceiptColumns(transaction, urlField, null);
+        }
+
+        pending.push({ transaction, transactionKey, receiptUrlFields });
+    }
+    summary.selected = pending.length;
+
+    if (dryRun) {
+        const byRule = pending.filter(({ transaction }) => !transaction.internal_type && findMatchingRule(transaction)).length;
+        const internal = pending.filter(({ transaction }) => transaction.internal_type).length;
+        console.log(`Would categorize ${pending.length} transactions: ${internal} internal, ${byRule} by rule and ` +
+            `${pending.length - internal - byRule} with the model`);
+        return summary;
+    }
+
+    // Receipts are extracted several at a time ahead of categorization, which
+    // still goes through transactions one by one in input order. Internal and
+    // rule-matched transactions don't need them.
+    const extractions = runPool(pending, extractConcurrency, async ({ transaction, receiptUrlFields }) => {
+        if (transaction.internal_type || findMatchingRule(transaction)) return false;
+        await extractReceipts(transaction, receiptUrlFields);
+        return true;
+    });
+
+    // Process each transaction
+    for (const [index, { transaction, transactionKey, receiptUrlFields }] of pending.entries()) {
+        // The same transaction can appear twice in one file
+        if (processedTransactions.has(transactionKey)) {
+            console.log('Skipping already processed transaction:', transactionKey);
+            summary.skipped++;
+            continue;
+        }
+
+        const internalCategorization = categorizeInternal(transaction);
+        if (internalCategorization) {
+            console.log(`Categorized ${transactionKey} as internal ${transaction.internal_type}`);
+            saveProcessedTransaction(transaction, internalCategorization, { outputPath });
+            processedTransactions.add(transactionKey);
+            summary.categorized++;
+            continue;
+        }
+
+        // Known merchants are categorized by rule without calling the model
+        const ruleCategorization = categorizeWithRules(transaction);
+        if (ruleCategorization) {
+            console.log(`Categorized ${transactionKey} with rule ${ruleCategorization.ruleId}`);
+            saveProcessedTransaction(transaction, ruleCategorization, { outputPath });
+            processedTransactions.add(transactionKey);
+            summary.categorized++;
+            continue;
+        }
+
+        // Wait for this transaction's receipts, extracting them now if a rule
+        // looked like it would match but didn't fit
+        if (!(await extractions[index])) {
+            await extractReceipts(transaction, receiptUrlFields);
+        }
+
+        const { categorization, question, answer } = await categorizeWithQuestions(transaction, async question => {
+            // In batch mode, park the question in the review queue and move on
+            if (batch) return null;
+            printTransactionDetails(transaction);
+            const selectedAnswer = await askQuestion(question);
+            console.log(`\nRecorded answer: ${selectedAnswer}\n`);
+            return selectedAnswer;
+        }, { minConfidence });
+
+        if (question && answer === null) {
+            addToReviewQueue({
+                transactionId: transactionKey,
+                question,
+                tentativeAccountId: categorization.accountId,
+                tentativeAccountName: categorization.accountName,
+                tentativeConfidence: categorization.confidence,
+                transaction
+            });
+            console.log(`Queued transaction ${transactionKey} for review: ${question.thoughtfulQuestion}`);
+            summary.queued++;
+            continue;
+        }
+        if (question && !categorization.valid) {
+            addToReviewQueue({
+                transactionId: transactionKey,
+                question: invalidCategorizationQuestion(categorization),
+                tentativeAccountId: categorization.accountId,
+                tentativeAccountName: categorization.accountName,
+                transaction
+            });
+            console.log(`Queued transaction ${transactionKey} for review, no valid account after answer`);
+            summary.queued++;
+            continue;
+        }
+        if (question) {
+            learnRuleFromAnswer(transaction, categorization.accountId);
+        }
+
+        categorization.splits = allocateSplits(transaction, categorization);
+        saveProcessedTransaction(transaction, categorization, { outputPath });
         processedTransactions.add(transactionKey);
+        summary.categorized++;
     }
 
-    return transactions;
+    return summary;
 }
 
-async function generateStatementOfActivity(csvPath) {
+// Statements from processed.csv written to outputPath, covering the rows
+// filter accepts. With dryRun the workbook is built but not written. Returns
+// { output, rows, sheets }.
+async function generateStatementOfActivity(csvPath, {
+    fieldOverrides = {},
+    outputPath = 'statement-of-activity.xlsx',
+    filter = () => true,
+    dryRun = false
+} = {}) {
     // Load and parse processed.csv
     const fileContent = readFileSync(csvPath, 'utf-8');
     const records = parse(fileContent, CSV_PARSE_OPTIONS);
@@ -509,23 +1251,108 @@ async function generateStatementOfActivity(csvPath) {
         throw new Error(`No transactions found in ${csvPath}`);
     }
 
-    // Get headers and identify key fields
-    const { dateField, amountField } = await identifyFields(Object.keys(records[0]));
+    // processed.csv has known date and amount columns, where amount is the
+    // split amount on split rows. Other files need their fields identified.
+    const headers = Object.keys(records[0]);
+    const fields = headers.includes('splitOf') ?
+        { dateField: 'date', amountField: 'amount' } :
+        await identifyFields(headers, records, { overrides: fieldOverrides, dryRun });
     const accountIdField = 'accountId';
 
+    const allEntries = records.map(record => {
+        const date = fields.dateFormat ? recordDate(record, fields) : new Date(record[fields.dateField]);
+        const cardAmount = fields.units ?
+            recordAmount(record, fields, record.currency || record.Currency) :
+            parseUsd(record[fields.amountField]);
+
+        // The account gets the receipt's USD value, and the difference from
+        // the card charge is reported as realized FX variance
+        const fxVariance = parseFloat(record.fxVariance) || 0;
+        return {
+            date,
+            monthKey: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+            cardAmount,
+            amount: roundUsd(cardAmount - fxVariance),
+            fxVariance,
+            accountId: record[accountIdField],
+            org: record.org_id || null,
+            description: (record.description || record.memo || '') +
+                (record.splitIndex ? ` (split ${record.splitIndex} of ${record.splitOf})` : ''),
+            record
+        };
+    });
+    const entries = allEntries.filter(entry => filter({ ...entry.record, date: entry.date }));
+    if (entries.length === 0) {
+        throw new Error(`No transactions in ${csvPath} match the selection`);
+    }
+
+    // Every sheet gets the same month columns
+    const sortedMonthsArray = [...new Set(entries.map(entry => entry.monthKey))].sort();
+
+    const wb = XLSX.utils.book_new();
+    const usedSheetNames = new Set();
+    const addSheet = (ws, name) => XLSX.utils.book_append_sheet(wb, ws, uniqueSheetName(name, usedSheetNames));
+
+    // Exports covering several orgs get a consolidated statement, where
+    // transfers between orgs that roll up together and fees paid to HCB are
+    // left out, a comparison across orgs and a statement per org
+    const orgs = organizationsOf(entries.map(entry => entry.record));
+    const groups = consolidationGroups(orgs);
+    const inSameGroup = (a, b) => consolidationRoot(orgs, a) === consolidationRoot(orgs, b);
+    const isFee = entry => findAccount(chartOfAccounts, entry.accountId)?.internal === 'fiscalSponsorshipFee';
+    const eliminated = orgs.size > 1 ? findEliminations(entries, inSameGroup, isFee) : new Set();
+    const consolidated = entries.filter(entry => !eliminated.has(entry));
+    if (eliminated.size > 0) {
+        console.log(`Left ${eliminated.size} internal transfer and fee rows out of the consolidated statements`);
+    }
+
+    addSheet(buildActivitySheet(consolidated, sortedMonthsArray), orgs.size > 1 ? 'Consolidated' : 'Statement of Activity');
+
+    // Older charts without balance sheet sections only get the activity sheet
+    if (chartOfAccounts.accounts.assets) {
+        addSheet(buildStatementOfFinancialPosition(entries, chartOfAccounts), 'Financial Position');
+    } else {
+        console.warn('Chart of accounts has no assets section, skipping the statement of financial position');
+    }
+
+    if (orgs.size > 1) {
+        addSheet(buildComparisonSheet(chartOfAccounts, orgs, entries, eliminated), 'Comparison');
+        for (const group of groups.values()) {
+            if (groups.size > 1 && group.orgIds.length > 1) {
+                const groupEntries = consolidated.filter(entry => group.orgIds.includes(entry.org));
+                addSheet(buildActivitySheet(groupEntries, sortedMonthsArray), `${group.name} Consolidated`);
+            }
+        }
+        for (const group of groups.values()) {
+            for (const orgId of group.orgIds) {
+                const orgEntries = entries.filter(entry => entry.org === orgId);
+                addSheet(buildActivitySheet(orgEntries, sortedMonthsArray), orgs.get(orgId).name);
+            }
+        }
+    }
+
+    const summary = { output: outputPath, rows: entries.length, sheets: wb.SheetNames };
+    if (dryRun) {
+        console.log(`Would write ${wb.SheetNames.join(', ')} to ${outputPath}`);
+        return summary;
+    }
+
+    // Write to file
+    XLSX.writeFile(wb, outputPath);
+    console.log(`${wb.SheetNames.join(', ')} have been written to ${outputPath}`);
+    return summary;
+}
+
+// Income and expenses by month for one set of entries, with each account's
+// transactions grouped under it
+function buildActivitySheet(entries, sortedMonthsArray) {
     // Group transactions by account and month
     const transactionsByAccount = {};
     const monthlyTotals = {};
-    const sortedMonths = new Set();
-    
-    records.forEach(record => {
-        const date = new Date(record[dateField]);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        sortedMonths.add(monthKey);
-        const amount = record[amountField].includes('$') ? 
-            parseFloat(record[amountField].replace(/[\$,]/g, '')) :
-            parseFloat(record[amountField]) / 100;
-        const accountId = record[accountIdField];
+    const monthlyFxVariance = {};
+
+    entries.forEach(({ date, monthKey, amount, fxVariance, accountId, description }) => {
+        monthlyFxVariance[monthKey] = (monthlyFxVariance[monthKey] || 0) + fxVariance;
 
         // Store transaction by account
         if (!transactionsByAccount[accountId]) {
@@ -534,7 +1361,7 @@ async function generateStatementOfActivity(csvPath) {
         transactionsByAccount[accountId].push({
             date: date.toISOString().split('T')[0],
             amount,
-            description: record.description || record.memo || '',
+            description,
             monthKey
         });
 
@@ -548,8 +1375,6 @@ async function generateStatementOfActivity(csvPath) {
         monthlyTotals[monthKey][accountId] += amount;
     });
 
-    const sortedMonthsArray = Array.from(sortedMonths).sort();
-
     // Prepare worksheet data with transactions
     const wsData = [];
     let currentRow = 0;
@@ -648,7 +1473,7 @@ async function generateStatementOfActivity(csvPath) {
     wsData.push(['INCOME', '', '', '', ...sortedMonthsArray.map(() => '')]);
     outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
     currentRow++;
-    const incomeSection = addAccountRows(CHART_OF_ACCOUNTS.income, 1);
+    const incomeSection = addAccountRows(chartOfAccounts.accounts.income, 1);
 
     // Add total income row
     wsData.push(['Total Income', '', '', '', ...incomeSection.totals]);
@@ -663,7 +1488,7 @@ async function generateStatementOfActivity(csvPath) {
     wsData.push(['EXPENSES', '', '', '', ...sortedMonthsArray.map(() => '')]);
     outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
     currentRow++;
-    const expenseSection = addAccountRows(CHART_OF_ACCOUNTS.expenses, 1);
+    const expenseSection = addAccountRows(chartOfAccounts.accounts.expenses, 1);
 
     // Add total expenses row
     wsData.push(['Total Expenses', '', '', '', ...expenseSection.totals]);
@@ -674,13 +1499,60 @@ async function generateStatementOfActivity(csvPath) {
     outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: false };
     currentRow++;
 
-    // Add net income row
-    const netIncome = incomeSection.totals.map((inc, idx) => inc - expenseSection.totals[idx]);
+    // Add an optional section (fees, transfers) with its total, or zeros if
+    // the chart doesn't have it
+    function addOptionalSection(title, account) {
+        if (!account) return sortedMonthsArray.map(() => 0);
+        wsData.push([title.toUpperCase(), '', '', '', ...sortedMonthsArray.map(() => '')]);
+        outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
+        currentRow++;
+        const section = addAccountRows(account, 1);
+
+        wsData.push([`Total ${title}`, '', '', '', ...section.totals]);
+        outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
+        currentRow++;
+
+        wsData.push(['', '', '', '', ...sortedMonthsArray.map(() => '')]);
+        outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: false };
+        currentRow++;
+        return section.totals;
+    }
+
+    // Add fiscal sponsorship fees section
+    const feeTotals = addOptionalSection('Fiscal Sponsorship Fees', chartOfAccounts.accounts.fees);
+
+    // Add realized FX variance row
+    const fxVarianceTotals = sortedMonthsArray.map(month => roundUsd(monthlyFxVariance[month] || 0));
+    wsData.push(['Realized FX Variance', '', '', '', ...fxVarianceTotals]);
+    outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
+    currentRow++;
+
+    wsData.push(['', '', '', '', ...sortedMonthsArray.map(() => '')]);
+    outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: false };
+    currentRow++;
+
+    // Add net income row. Expenses and fees are already negative.
+    const netIncome = incomeSection.totals.map((inc, idx) =>
+        roundUsd(inc + expenseSection.totals[idx] + feeTotals[idx] + fxVarianceTotals[idx]));
     wsData.push(['Net Income', '', '', '', ...netIncome]);
     outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
+    currentRow++;
 
-    // Create workbook and worksheet
-    const wb = XLSX.utils.book_new();
+    // Transfers between funds change a fund's net assets without being
+    // income or expenses
+    if (chartOfAccounts.accounts.transfers) {
+        wsData.push(['', '', '', '', ...sortedMonthsArray.map(() => '')]);
+        outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: false };
+        currentRow++;
+
+        const transferTotals = addOptionalSection('Inter-fund Transfers', chartOfAccounts.accounts.transfers);
+        const changeInNetAssets = netIncome.map((net, idx) => roundUsd(net + transferTotals[idx]));
+        wsData.push(['Change in Net Assets', '', '', '', ...changeInNetAssets]);
+        outlineLevels[currentRow] = { level: 0, isTransaction: false, isHeader: true };
+        currentRow++;
+    }
+
+    // Create worksheet
     const ws = XLSX.utils.aoa_to_sheet(wsData);
 
     // Set column widths
@@ -749,212 +1621,159 @@ async function generateStatementOfActivity(csvPath) {
         above: true  // show summary rows above detail
     };
 
-    // Add the worksheet to the workbook
-    XLSX.utils.book_append_sheet(wb, ws, 'Statement of Activity');
-
-    // Write to file
-    XLSX.writeFile(wb, 'statement-of-activity.xlsx');
-    console.log('Statement of activity has been written to statement-of-activity.xlsx');
+    return ws;
 }
 
-async function aiExtractReceiptDetails(imageUrl, metadata = {}) {
-    return new Promise(async (resolve, reject) => {
-        let imageData;
-
-        // Create unique ID for this request to avoid filename collisions
-        const requestId = crypto.randomUUID();
-        const tmpDir = './tmp';
-
-        if (imageUrl.toLowerCase().endsWith('.pdf')) {
-            // Create tmp directory if it doesn't exist
-            if (!existsSync(tmpDir)) {
-                fs.mkdirSync(tmpDir);
-            }
-
-            // Download PDF
-            const pdfPath = `${tmpDir}/receipt-${requestId}.pdf`;
-            const pdfResponse = await fetch(imageUrl);
-            const pdfBuffer = await pdfResponse.arrayBuffer();
-            fs.writeFileSync(pdfPath, Buffer.from(pdfBuffer));
-
-            // Convert PDF to JPEG using ImageMagick with background preservation and multi-page support
-            const jpegBasePath = `${tmpDir}/receipt-${requestId}`;
-            // First convert PDF pages to individual JPEGs
-            await new Promise((resolve, reject) => {
-                require('imagemagick').convert([
-                    '-density', '300',
-                    '-quality', '100', 
-                    '-background', 'white',
-                    '-alpha', 'flatten',
-                    '-alpha', 'remove',
-                    pdfPath,
-                    `${jpegBasePath}-%d.jpg`
-                ], (err) => {
-                    if (err) reject(err);
-                    else resolve();
-                });
-            });
-
-            // Read all generated JPEGs (limit to first 3)
-            const jpegFiles = fs.readdirSync(tmpDir)
-                .filter(f => f.startsWith(`receipt-${requestId}-`) && f.endsWith('.jpg'))
-                .sort()
-                .slice(0, 3); // Only take first 3 pages
-
-            if (jpegFiles.length === 1) {
-                // If single page, just read the file
-                imageData = fs.readFileSync(`${tmpDir}/${jpegFiles[0]}`);
-            } else {
-                // For multiple pages, vertically append them
-                const combinedPath = `${tmpDir}/combined-${requestId}.jpg`;
-                await new Promise((resolve, reject) => {
-                    require('imagemagick').convert([
-                        ...jpegFiles.map(f => `${tmpDir}/${f}`),
-                        '-append',
-                        combinedPath
-                    ], (err) => {
-                        if (err) reject(err);
-                        else resolve();
-                    });
-                });
-                imageData = fs.readFileSync(combinedPath);
-                fs.unlinkSync(combinedPath);
-            }
-
-            // Clean up temporary files
-            fs.unlinkSync(pdfPath);
-            jpegFiles.forEach(file => fs.unlinkSync(`${tmpDir}/${file}`));
-
-        } else if (imageUrl.toLowerCase().endsWith('.heic')) {
-            // Create tmp directory if it doesn't exist
-            if (!existsSync(tmpDir)) {
-                fs.mkdirSync(tmpDir);
-            }
-
-            // Download HEIC
-            const heicPath = `${tmpDir}/receipt-${requestId}.heic`;
-            const heicResponse = await fetch(imageUrl);
-            const heicBuffer = await heicResponse.arrayBuffer();
-            fs.writeFileSync(heicPath, Buffer.from(heicBuffer));
-
-            // Convert HEIC to JPEG using ImageMagick
-            const jpegPath = `${tmpDir}/receipt-${requestId}.jpg`;
-            await new Promise((resolve, reject) => {
-                require('imagemagick').convert([
-                    heicPath,
-                    jpegPath
-                ], (err) => {
-                    if (err) reject(err);
-                    else resolve();
-                });
-            });
+// Attempts the model gets to call one of the receipt tools
+const MAX_RECEIPT_EXTRACTION_ATTEMPTS = 3;
+
+const receiptTools = {
+    extractReceipt: tool({
+        description: 'Extract details from a receipt. Subunit = smallest currency unit (e.g., 100 cents to charge $1.00 or 100 to charge ¥100, a zero-decimal currency)',
+        parameters: z.object({
+            language: z.string().describe('ISO 639-1 language code for the receipt').optional(),
+            currency: z.string().describe('ISO 4217 currency code').optional(),
+            date: z.string().describe('ISO8601 date string').optional(),
+            vendor_name: z.string().optional(),
+            vendor_address: z.string().optional(),
+            items_purchased: z.array(z.object({
+                qty: z.number(),
+                memo: z.string().describe('Exact text from the receipt'),
+                amount_subunits: z.number(),
+            })).optional(),
+            subtotal_amount_subunits: z.number().optional(),
+            taxes: z.array(z.object({
+                memo: z.string(),
+                amount_subunits: z.number(),
+            })).optional(),
+            total_amount_subunits: z.number().optional(),
+        })
+    }),
+    notAReceipt: tool({
+        description: "Call this when the file is readable but isn't a receipt or invoice, e.g. a photo of a product or a bank statement",
+        parameters: z.object({
+            imageDescription: z.string(),
+            reason: z.string(),
+        })
+    }),
+    unreadable: tool({
+        description: "Call this when it looks like a receipt but the total or other details can't be read, e.g. it's blurry, cut off or too small",
+        parameters: z.object({
+            imageDescription: z.string(),
+            reason: z.string(),
+        })
+    })
+};
 
-            // Read converted JPEG
-            imageData = fs.readFileSync(jpegPath);
+// Extract a receipt's details with the receipts model. imageBytes is the
+// downloaded receipt, a PDF or an image. Returns one of
+// { status: 'success', receipt }
+// { status: 'not_a_receipt', detail, imageDescription }
+// { status: 'unreadable', detail, imageDescription }
+// A file that isn't a PDF or an image the model reads, like an HTML error
+// page, is not_a_receipt without asking the model. An unreadable PDF is tried
+// again with every page rendered at a higher resolution. Images aren't, since
+// they're already sent at their original resolution. Rejects when the
+// file can't be converted or the model never calls a tool.
+async function aiExtractReceiptDetails(imageBytes, metadata = {}) {
+    if (!detectReceiptFormat(imageBytes)) {
+        return { status: 'not_a_receipt', detail: 'The file is not a PDF or a JPEG, PNG, GIF, WebP or HEIC image', imageDescription: null };
+    }
+    const result = await extractReceiptOnce(imageBytes, metadata);
+    if (result.status !== 'unreadable' || detectReceiptFormat(imageBytes) !== 'pdf') {
+        return result;
+    }
+    console.warn(`Receipt was unreadable (${result.detail}), trying again at ${HIGH_RES_RENDER_DPI} DPI`);
+    return extractReceiptOnce(imageBytes, metadata, { dpi: HIGH_RES_RENDER_DPI, useTextLayer: false });
+}
 
-            // Clean up temporary files
-            fs.unlinkSync(heicPath);
-            fs.unlinkSync(jpegPath);
-        } else {
-            imageData = new URL(imageUrl);
-        }
-
-        let toolCalled = false;
-        let attempts = 0;
-        const maxAttempts = 3;
-
-        while (!toolCalled && attempts < maxAttempts) {
-            attempts++;
-            await generateText({
-                model: aiModel,
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            { type: 'text', text: 'Extract the receipt details from this image. Translate non-English text to English. You must call one of the tools and not reply in a message, or else the program will crash. Additional context: "' + JSON.stringify(metadata) + '"' },
-                            {
-                                type: 'image',
-                                image: imageData,
-                            },
-                        ],
-                    },
-                ],
-                tools: {
-                    extractReceipt: tool({
-                        description: 'Extract details from a receipt. Subunit = smallest currency unit (e.g., 100 cents to charge $1.00 or 100 to charge ¥100, a zero-decimal currency)',
-                        parameters: z.object({
-                            language: z.string().describe('ISO 639-1 language code for the receipt').optional(),
-                            currency: z.string().describe('ISO 4217 currency code').optional(),
-                            date: z.string().describe('ISO8601 date string').optional(),
-                            vendor_name: z.string().optional(), 
-                            vendor_address: z.string().optional(), 
-                            items_purchased: z.array(z.object({
-                                qty: z.number(),
-                                memo: z.string().describe('Exact text from the receipt'),
-                                amount_subunits: z.number(),
-                            })).optional(),
-                            subtotal_amount_subunits: z.number().optional(),
-                            taxes: z.array(z.object({
-                                memo: z.string(),
-                                amount_subunits: z.number(),
-                            })).optional(),
-                            total_amount_subunits: z.number().optional(),
-                        }),
-                        execute(receipt) {
-                            toolCalled = true;
-                            return resolve(receipt);
-                        }
-                    }),
-                    error: tool({
-                        description: 'Return an error message if the receipt is invalid',
-                        parameters: z.object({
-                            imageDescription: z.string(),
-                            error: z.string(),
-                        }),
-                        execute(error) {
-                            toolCalled = true;
-                            return resolve(error);
-                        }
-                    })
-                }
-            });
-        }
+async function extractReceiptOnce(imageBytes, metadata, renderOptions = {}) {
+    // Every page of a PDF, as text when it has a text layer
+    const receiptParts = await receiptContentParts(imageBytes, renderOptions);
+
+    for (let attempt = 1; attempt <= MAX_RECEIPT_EXTRACTION_ATTEMPTS; attempt++) {
+        const { toolCalls } = await generateText({
+            model: receiptsModel,
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: 'Extract the receipt details from this receipt. It may have several pages, read all of them. Translate non-English text to English. You must call one of the tools and not reply in a message, or else the program will crash. Additional context: "' + JSON.stringify(metadata) + '"' },
+                        ...receiptParts,
+                    ],
+                },
+            ],
+            tools: receiptTools
+        });
 
-        if (!toolCalled) {
-            throw new Error(`Failed to extract receipt details after ${maxAttempts} attempts - no tool was called`);
+        const [call] = toolCalls;
+        switch (call?.toolName) {
+            case 'extractReceipt':
+                return { status: 'success', receipt: call.args };
+            case 'notAReceipt':
+                return { status: 'not_a_receipt', detail: call.args.reason, imageDescription: call.args.imageDescription };
+            case 'unreadable':
+                return { status: 'unreadable', detail: call.args.reason, imageDescription: call.args.imageDescription };
         }
-    });
+    }
+    throw new Error(`Failed to extract receipt details after ${MAX_RECEIPT_EXTRACTION_ATTEMPTS} attempts - no tool was called`);
 }
 
-async function getReceiptData(receiptId, receiptUrl, additionalContext = '') {
-    // Check if cache file exists, if not create it
-    const cacheFile = 'test_data/extracted_receipts.json';
-    if (!existsSync(cacheFile)) {
-        writeFileSync(cacheFile, JSON.stringify({}));
+// Extractions running now by content hash, so the same receipt attached to
+// several transactions is only sent to the model once
+const extractionsInFlight = new Map();
+
+// The receipt's extraction result from aiExtractReceiptDetails, or
+// { status: 'download_failed', detail } when it can't be downloaded, as
+// { result, cached }. The receipt is stored by content hash, and the
+// extraction is reused for the same content, receipts model and prompt
+// version unless force is set.
+async function getReceiptData(receiptId, receiptUrl, additionalContext = '', { force = false } = {}) {
+    let fetched;
+    try {
+        fetched = await fetchReceipt(receiptId, receiptUrl);
+    } catch (error) {
+        return { result: { status: 'download_failed', detail: error.message }, cached: false };
     }
-
-    // Read cached data
-    const cachedData = JSON.parse(readFileSync(cacheFile, 'utf8'));
-
-    // Check if transaction is cached
-    if (cachedData[receiptId]) {
-        return cachedData[receiptId];
+    const { hash, bytes } = fetched;
+    const key = receiptExtractionKey();
+    if (extractionsInFlight.has(hash)) {
+        return { result: await extractionsInFlight.get(hash), cached: true };
+    }
+    if (!force) {
+        const cached = cachedExtraction(hash, key);
+        if (cached !== undefined) {
+            return { result: cached, cached: true };
+        }
     }
 
-    // Extract receipt data if not cached
-    const extractedData = await aiExtractReceiptDetails(receiptUrl, additionalContext);
-
-    // Cache the result
-    cachedData[receiptId] = extractedData;
-    writeFileSync(cacheFile, JSON.stringify(cachedData, null, 2));
-
-    return extractedData;
+    const extraction = aiExtractReceiptDetails(bytes, additionalContext);
+    extractionsInFlight.set(hash, extraction);
+    try {
+        const extractedData = await extraction;
+        saveExtraction(hash, key, extractedData);
+        return { result: extractedData, cached: false };
+    } finally {
+        extractionsInFlight.delete(hash);
+    }
 }
 
-// Test code for loading transactions
-console.log('\nProcessing transactions from test.csv:');
-await processTransactions('first_transactions.csv');
+export {
+    askQuestion,
+    categorizeWithAnswer,
+    categorizeWithValidation,
+    learnRuleFromAnswer,
+    allocateSplits,
+    printTransactionDetails,
+    loadTransactions,
+    CATEGORIZATION_COLUMNS,
+    processTransactions,
+    categorizeUnattended,
+    extractAllReceipts,
+    invalidateReceipts,
+    aiExtractReceiptDetails,
+    receiptExtractionKey,
+    saveProcessedTransaction,
+    generateStatementOfActivity
+};
 
-// Generate statement of activity
-console.log('\nGenerating Statement of Activity:');
-await generateStatementOfActivity('south_bay_processed.csv');
\ No newline at end of file
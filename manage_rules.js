@@ -0,0 +1,110 @@
+import { parseArgs } from 'util';
+import { readCsv } from './csv_utils.js';
+import { loadChartOfAccounts, findAccount, getFullAccountName, getLeafAccounts } from './chart_of_accounts.js';
+import { loadRules, addRule, setRuleEnabled, findMatchingRule, describeRule } from './rules.js';
+
+// bun manage_rules.js list
+// bun manage_rules.js add --account 5430 --merchant "AWS" [--memo regex] [--min-amount 0] [--max-amount 500] [--tag infra] [--org slug]
+// bun manage_rules.js disable r3 / enable r3
+// bun manage_rules.js test transactions.csv
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        account: { type: 'string' },
+        merchant: { type: 'string' },
+        memo: { type: 'string' },
+        'min-amount': { type: 'string' },
+        'max-amount': { type: 'string' },
+        tag: { type: 'string' },
+        org: { type: 'string' },
+        description: { type: 'string', default: '' }
+    }
+});
+
+const chart = loadChartOfAccounts();
+
+function listRules() {
+    const rules = loadRules();
+    if (rules.length === 0) {
+        console.log('No rules yet');
+        return;
+    }
+    for (const rule of rules) {
+        const status = rule.enabled ? '' : ' (disabled)';
+        console.log(`${describeRule(rule)} ${getFullAccountName(chart, rule.accountId)} [${rule.source}]${status}`);
+    }
+}
+
+function addRuleFromArgs() {
+    const account = findAccount(chart, args.account);
+    if (!account || !getLeafAccounts(chart).includes(account)) {
+        throw new Error(`--account must be a categorizable leaf account id from the chart, got "${args.account}"`);
+    }
+    const parseAmount = value => value === undefined ? undefined : parseFloat(value);
+    const rule = addRule({
+        accountId: args.account,
+        description: args.description,
+        match: {
+            merchant: args.merchant,
+            memo: args.memo,
+            minAmount: parseAmount(args['min-amount']),
+            maxAmount: parseAmount(args['max-amount']),
+            tag: args.tag,
+            org: args.org
+        }
+    });
+    console.log(`Added ${describeRule(rule)}`);
+}
+
+// Show which rule each row would hit, and how often rules agree with the
+// accountId already on the row (e.g. when testing against processed.csv)
+function testRules(csvPath) {
+    const records = readCsv(csvPath);
+    const rules = loadRules();
+
+    let matched = 0;
+    let compared = 0;
+    let agreed = 0;
+    for (const record of records) {
+        const rule = findMatchingRule(record, rules);
+        if (!rule) continue;
+        matched++;
+
+        let verdict = '';
+        if (record.accountId) {
+            compared++;
+            if (record.accountId === rule.accountId) {
+                agreed++;
+            } else {
+                verdict = ` DISAGREES with ${record.accountId}`;
+            }
+        }
+        console.log(`${record.id || '(no id)'} ${record.memo || ''} -> ${rule.id} (${rule.accountId})${verdict}`);
+    }
+
+    console.log(`\n${matched} of ${records.length} rows matched a rule`);
+    if (compared > 0) {
+        console.log(`${agreed} of ${compared} matched rows agree with their existing accountId`);
+    }
+}
+
+const [command, ruleIdOrPath] = positionals;
+switch (command) {
+    case 'list':
+        listRules();
+        break;
+    case 'add':
+        addRuleFromArgs();
+        break;
+    case 'disable':
+    case 'enable':
+        setRuleEnabled(ruleIdOrPath, command === 'enable');
+        console.log(`Rule ${ruleIdOrPath} ${command}d`);
+        break;
+    case 'test':
+        testRules(ruleIdOrPath);
+        break;
+    default:
+        console.error('Usage: bun manage_rules.js <list|add|disable|enable|test> [rule id or csv]');
+        process.exit(1);
+}
@@ -0,0 +1,36 @@
+// A local stand-in for the HCB API, for checking hcb_client.js without a
+// token or network. Each route is a list of scripted responses served in
+// order, the last one repeating: { status, body, headers }.
+//
+// const server = startMockHcbServer({ '/organizations/org_a': [{ status: 503 }, { body: {...} }] });
+// process.env.HCB_API_URL = server.url;
+
+export function startMockHcbServer(routes = {}) {
+    const requests = [];
+    const served = new Map();
+
+    const server = Bun.serve({
+        port: 0,
+        fetch(request) {
+            const { pathname } = new URL(request.url);
+            requests.push({ path: pathname, at: Date.now(), authorization: request.headers.get('authorization') });
+
+            const responses = routes[pathname];
+            if (!responses || responses.length === 0) {
+                return Response.json({ error: `No mock route for ${pathname}` }, { status: 404 });
+            }
+            const index = served.get(pathname) ?? 0;
+            served.set(pathname, index + 1);
+            const { status = 200, body = {}, headers = {} } = responses[Math.min(index, responses.length - 1)];
+            return Response.json(body, { status, headers });
+        }
+    });
+
+    return {
+        url: `http://localhost:${server.port}`,
+        requests,
+        // Requests made to one path
+        requestsTo: path => requests.filter(request => request.path === path),
+        stop: () => server.stop(true)
+    };
+}
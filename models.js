@@ -0,0 +1,143 @@
+import 'dotenv/config';
+import { openai } from '@ai-sdk/openai';
+import { createOllama } from 'ollama-ai-provider';
+import { experimental_wrapLanguageModel as wrapLanguageModel } from 'ai';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Models are picked per task so that e.g. field detection can run on a small
+// local model while receipt vision stays on a hosted one. A model spec looks
+// like "openai:gpt-4o", "ollama:llama3.2-vision" or "replay".
+export const MODEL_TASKS = ['fields', 'categorize', 'receipts'];
+
+const DEFAULT_MODEL_SPEC = 'openai:gpt-4o';
+const MODELS_CONFIG_FILE = 'ai_models.json';
+const DEFAULT_RECORDINGS_FILE = 'test_data/ai_recordings.json';
+
+const ollama = createOllama({
+    baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/api'
+});
+
+// Optional ai_models.json, e.g. { "fields": "ollama:llama3.1", "receipts": "openai:gpt-4o" }
+function loadModelsConfig() {
+    if (!existsSync(MODELS_CONFIG_FILE)) return {};
+    return JSON.parse(readFileSync(MODELS_CONFIG_FILE, 'utf-8'));
+}
+
+// Env wins over the config file: AI_MODEL_<TASK>, then AI_MODEL for every task
+export function getModelSpec(task) {
+    if (!MODEL_TASKS.includes(task)) {
+        throw new Error(`Unknown model task "${task}", expected one of: ${MODEL_TASKS.join(', ')}`);
+    }
+    const config = loadModelsConfig();
+    return process.env[`AI_MODEL_${task.toUpperCase()}`] ||
+        process.env.AI_MODEL ||
+        config[task] ||
+        config.default ||
+        DEFAULT_MODEL_SPEC;
+}
+
+export function createModel(spec) {
+    const separator = spec.indexOf(':');
+    const provider = separator === -1 ? spec : spec.slice(0, separator);
+    const modelId = separator === -1 ? '' : spec.slice(separator + 1);
+
+    switch (provider) {
+        case 'openai':
+            return openai(modelId || 'gpt-4o');
+        case 'ollama':
+            if (!modelId) throw new Error('Ollama model spec needs a model name, e.g. "ollama:llama3.1"');
+            return ollama(modelId);
+        case 'replay':
+            return createReplayModel(modelId || process.env.AI_RECORDINGS || DEFAULT_RECORDINGS_FILE);
+        default:
+            throw new Error(`Unknown model provider "${provider}" in model spec "${spec}"`);
+    }
+}
+
+// Returns the model for a task. When AI_RECORD_TO is set, every response from
+// the real model is also saved there so it can be played back with "replay".
+export function getModel(task) {
+    const spec = getModelSpec(task);
+    const model = createModel(spec);
+    if (process.env.AI_RECORD_TO && !spec.startsWith('replay')) {
+        return createRecordingModel(model, process.env.AI_RECORD_TO);
+    }
+    return model;
+}
+
+// Recordings are keyed by the non-system messages and tool names, so the key
+// doesn't depend on how a provider injects JSON schema instructions.
+function recordingKey(params) {
+    const prompt = params.prompt.filter(message => message.role !== 'system');
+    const tools = params.mode.type === 'regular' ? (params.mode.tools || []).map(t => t.name).sort() : [];
+
+    const serialized = JSON.stringify({ prompt, tools }, (key, value) => {
+        if (value instanceof URL) return value.href;
+        if (value instanceof Uint8Array) {
+            return `sha256:${createHash('sha256').update(value).digest('hex')}`;
+        }
+        return value;
+    });
+    return createHash('sha256').update(serialized).digest('hex');
+}
+
+function loadRecordings(path) {
+    return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : {};
+}
+
+function createRecordingModel(model, path) {
+    return wrapLanguageModel({
+        model,
+        middleware: {
+            async wrapGenerate({ doGenerate, params }) {
+                const result = await doGenerate();
+
+                // Object generation in tool mode returns the JSON as tool
+                // arguments - store it as text so replay works in json mode
+                const isObjectTool = params.mode.type === 'object-tool';
+                const recordings = loadRecordings(path);
+                recordings[recordingKey(params)] = {
+                    text: isObjectTool ? result.toolCalls?.[0]?.args : result.text,
+                    toolCalls: isObjectTool ? undefined : result.toolCalls,
+                    finishReason: isObjectTool ? 'stop' : result.finishReason,
+                    usage: result.usage
+                };
+                writeFileSync(path, JSON.stringify(recordings, null, 2));
+
+                return result;
+            }
+        }
+    });
+}
+
+// Deterministic stand-in for a real provider: answers every call with the
+// response recorded for the same prompt and fails loudly when there is none.
+function createReplayModel(path) {
+    const recordings = loadRecordings(path);
+    return {
+        specificationVersion: 'v1',
+        provider: 'replay',
+        modelId: path,
+        defaultObjectGenerationMode: 'json',
+        supportsStructuredOutputs: true,
+        supportsImageUrls: true,
+        async doGenerate(params) {
+            const key = recordingKey(params);
+            const recording = recordings[key];
+            if (!recording) {
+                throw new Error(`No recorded response for prompt ${key} in ${path}`);
+            }
+            return {
+                text: recording.text,
+                toolCalls: recording.toolCalls,
+                finishReason: recording.finishReason || 'stop',
+                usage: recording.usage || { promptTokens: 0, completionTokens: 0 },
+                rawCall: { rawPrompt: params.prompt, rawSettings: {} }
+            };
+        },
+        async doStream() {
+            throw new Error('Replay model does not support streaming');
+        }
+    };
+}
@@ -0,0 +1,94 @@
+import { readFileSync, existsSync } from 'fs';
+import { parse } from 'csv-parse/sync';
+import { CSV_PARSE_OPTIONS } from './csv_utils.js';
+
+// Number of decimal places in each ISO 4217 currency's subunit. Anything not
+// listed here uses 2 (cents).
+const CURRENCY_EXPONENTS = {
+    // Zero-decimal currencies
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    // Three-decimal currencies
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+export const DEFAULT_FX_RATES_FILE = 'fx_rates.csv';
+
+// How far a foreign receipt's converted total may be from the card charge and
+// still be the same purchase, since the card network's rate differs from the
+// table's
+export const DEFAULT_FX_TOLERANCE = 0.05;
+
+export function normalizeCurrency(currency) {
+    return String(currency || 'USD').trim().toUpperCase();
+}
+
+export function currencyExponent(currency) {
+    return CURRENCY_EXPONENTS[normalizeCurrency(currency)] ?? 2;
+}
+
+// e.g. 1234 JPY -> 1234, 1234 USD -> 12.34, 1234 KWD -> 1.234
+export function subunitsToMajor(subunits, currency) {
+    return subunits / 10 ** currencyExponent(currency);
+}
+
+export function majorToSubunits(amount, currency) {
+    return Math.round(amount * 10 ** currencyExponent(currency));
+}
+
+export function roundUsd(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Parse "-$1,234.56" style amounts as written to processed.csv
+export function parseUsd(amount) {
+    return parseFloat(String(amount ?? '').replace(/[$,]/g, ''));
+}
+
+export function formatUsd(amount) {
+    return amount < 0 ?
+        `-$${Math.abs(amount).toFixed(2)}` :
+        `$${amount.toFixed(2)}`;
+}
+
+// Historical rates from a local CSV with "date", "currency" and "usd_per_unit"
+// columns, e.g. "2024-09-01,EUR,1.1047". Returns rates per currency sorted by
+// date, or an empty table when the file doesn't exist.
+export function loadFxRates(path = process.env.FX_RATES || DEFAULT_FX_RATES_FILE) {
+    const rates = {};
+    if (!existsSync(path)) return rates;
+
+    for (const record of parse(readFileSync(path, 'utf-8'), CSV_PARSE_OPTIONS)) {
+        const currency = normalizeCurrency(record.currency);
+        const rate = parseFloat(record.usd_per_unit);
+        if (!record.date || isNaN(rate)) {
+            throw new Error(`Invalid FX rate row in ${path}: ${JSON.stringify(record)}`);
+        }
+        (rates[currency] ||= []).push({ date: record.date.slice(0, 10), rate });
+    }
+    for (const currencyRates of Object.values(rates)) {
+        currencyRates.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    return rates;
+}
+
+// The rate on the given date, or the latest one before it. Returns null when
+// the table has nothing for that currency on or before the date.
+export function usdRate(rates, currency, date) {
+    const code = normalizeCurrency(currency);
+    if (code === 'USD') return 1;
+
+    const day = (date instanceof Date ? date.toISOString() : String(date || '')).slice(0, 10);
+    let found = null;
+    for (const entry of rates[code] || []) {
+        if (entry.date > day) break;
+        found = entry.rate;
+    }
+    return found;
+}
+
+// Convert an amount in major units to USD, or null when there's no rate
+export function convertToUsd(rates, amount, currency, date) {
+    const rate = usdRate(rates, currency, date);
+    return rate === null ? null : roundUsd(amount * rate);
+}
@@ -0,0 +1,121 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+
+// Receipts are stored by the sha256 of their bytes, so a receipt is downloaded
+// once and can still be read after HCB's signed URL expires. Extractions are
+// stored per content hash, model and prompt version, so a re-uploaded receipt
+// or a new prompt or model gets extracted again while everything else is
+// reused.
+//
+// test_data/receipts/
+//   sources.json                  receipt id -> { url, hash, fetchedAt }
+//   files/<hash>                  the receipt as downloaded
+//   extractions/<hash>/<model>.v<prompt version>.json
+export const RECEIPTS_DIR = process.env.RECEIPTS_DIR || 'test_data/receipts';
+
+const SOURCES_FILE = `${RECEIPTS_DIR}/sources.json`;
+const FILES_DIR = `${RECEIPTS_DIR}/files`;
+const EXTRACTIONS_DIR = `${RECEIPTS_DIR}/extractions`;
+
+export function contentHash(bytes) {
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+export function loadReceiptSources() {
+    return existsSync(SOURCES_FILE) ? JSON.parse(readFileSync(SOURCES_FILE, 'utf-8')) : {};
+}
+
+// Other downloads may have finished in the meantime, so merge into the file as
+// it is now
+function saveReceiptSource(receiptId, source) {
+    const sources = loadReceiptSources();
+    sources[receiptId] = source;
+    mkdirSync(RECEIPTS_DIR, { recursive: true });
+    writeFileSync(SOURCES_FILE, JSON.stringify(sources, null, 2));
+}
+
+function receiptFilePath(hash) {
+    return `${FILES_DIR}/${hash}`;
+}
+
+// The receipt's bytes and content hash. A receipt id whose URL hasn't changed
+// is read from disk. Anything else is downloaded, and when the download fails
+// the last copy stored for the receipt id is used instead.
+export async function fetchReceipt(receiptId, url) {
+    const known = loadReceiptSources()[receiptId];
+    if (known && known.url === url && existsSync(receiptFilePath(known.hash))) {
+        return { hash: known.hash, bytes: readFileSync(receiptFilePath(known.hash)) };
+    }
+
+    let bytes;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        bytes = Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        if (known && existsSync(receiptFilePath(known.hash))) {
+            console.warn(`Couldn't download ${receiptId} (${error.message}), using the copy from ${known.fetchedAt}`);
+            return { hash: known.hash, bytes: readFileSync(receiptFilePath(known.hash)) };
+        }
+        throw new Error(`Couldn't download receipt ${receiptId}: ${error.message}`, { cause: error });
+    }
+
+    const hash = contentHash(bytes);
+    if (!existsSync(receiptFilePath(hash))) {
+        mkdirSync(FILES_DIR, { recursive: true });
+        writeFileSync(receiptFilePath(hash), bytes);
+    }
+    saveReceiptSource(receiptId, { url, hash, fetchedAt: new Date().toISOString() });
+    return { hash, bytes };
+}
+
+// The content hash a receipt id was last stored under when its URL is still
+// the same, without downloading anything
+export function knownReceiptHash(receiptId, url) {
+    const known = loadReceiptSources()[receiptId];
+    return known && known.url === url ? known.hash : null;
+}
+
+function extractionPath(hash, { model, promptVersion }) {
+    return `${EXTRACTIONS_DIR}/${hash}/${model.replace(/[^a-zA-Z0-9._-]/g, '_')}.v${promptVersion}.json`;
+}
+
+// The stored extraction result for this receipt content, model and prompt
+// version, or undefined
+export function cachedExtraction(hash, key) {
+    const path = extractionPath(hash, key);
+    return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')).result : undefined;
+}
+
+export function saveExtraction(hash, key, result) {
+    const path = extractionPath(hash, key);
+    mkdirSync(path.slice(0, path.lastIndexOf('/')), { recursive: true });
+    writeFileSync(path, JSON.stringify({
+        hash,
+        model: key.model,
+        promptVersion: key.promptVersion,
+        extractedAt: new Date().toISOString(),
+        result
+    }, null, 2));
+}
+
+// Every stored extraction as { hash, model, promptVersion, extractedAt, path }
+export function listExtractions() {
+    if (!existsSync(EXTRACTIONS_DIR)) return [];
+    return readdirSync(EXTRACTIONS_DIR).flatMap(hash => readdirSync(`${EXTRACTIONS_DIR}/${hash}`).map(file => {
+        const path = `${EXTRACTIONS_DIR}/${hash}/${file}`;
+        const { model, promptVersion, extractedAt } = JSON.parse(readFileSync(path, 'utf-8'));
+        return { hash, model, promptVersion, extractedAt, path };
+    }));
+}
+
+// Delete stored extractions so they're extracted again next time. Returns the
+// ones removed, or that would be with dryRun.
+export function removeExtractions(extractions, { dryRun = false } = {}) {
+    if (!dryRun) {
+        for (const { path } of extractions) rmSync(path);
+    }
+    return extractions;
+}
@@ -0,0 +1,98 @@
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import heicConvert from 'heic-convert';
+
+// Turns a downloaded receipt into what the receipts model is sent, in memory
+// so nothing is left behind in ./tmp when a conversion fails. The format comes
+// from the file's first bytes, since HCB URLs don't always end in an extension.
+
+// PDF pages are rendered at this resolution when they have no text layer,
+// and at the higher one when the model couldn't read them
+export const DEFAULT_RENDER_DPI = 150;
+export const HIGH_RES_RENDER_DPI = 300;
+
+// PDFs that use Helvetica, Times and the other standard fonts without
+// embedding them render as blank pages unless pdfjs can load its own copies.
+// In Node it reads them from disk, so this is a directory path.
+const STANDARD_FONT_DATA_DIR = join(dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')), 'standard_fonts') + '/';
+
+// A page with fewer characters than this in its text layer is treated as a
+// scan, e.g. one with only a page number or a scanner's header on it
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// 'pdf', 'heic', 'jpeg', 'png', 'gif' or 'webp', or null when the bytes aren't
+// any of them
+export function detectReceiptFormat(bytes) {
+    const ascii = (start, end) => Buffer.from(bytes.subarray(start, end)).toString('latin1');
+    if (ascii(0, 5) === '%PDF-') return 'pdf';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+    if (ascii(1, 4) === 'PNG' && bytes[0] === 0x89) return 'png';
+    if (ascii(0, 4) === 'GIF8') return 'gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    // ISO base media files name their brand after "ftyp"
+    if (ascii(4, 8) === 'ftyp' && ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(ascii(8, 12))) {
+        return 'heic';
+    }
+    return null;
+}
+
+// Each page of a PDF as { pageNumber, text, image }. Pages with a text layer
+// get their text and no image, unless useTextLayer is false. Other pages are
+// rendered to a PNG at dpi.
+export async function readPdfPages(bytes, { dpi = DEFAULT_RENDER_DPI, useTextLayer = true } = {}) {
+    const document = await getDocument({ data: new Uint8Array(bytes), standardFontDataUrl: STANDARD_FONT_DATA_DIR }).promise;
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const { items } = useTextLayer ? await page.getTextContent() : { items: [] };
+            const text = items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('').trim();
+            if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+                pages.push({ pageNumber, text, image: null });
+                continue;
+            }
+
+            // pdfjs's own canvas factory, so the canvas comes from the same
+            // @napi-rs/canvas instance pdfjs draws images with
+            const viewport = page.getViewport({ scale: dpi / 72 });
+            const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+            await page.render({ canvasContext: context, viewport }).promise;
+            pages.push({ pageNumber, text: null, image: canvas.toBuffer('image/png') });
+        }
+        return pages;
+    } finally {
+        await document.destroy();
+    }
+}
+
+// Every image in a HEIC file as a JPEG. iPhones can save bursts and edits as
+// several images in one file.
+export async function heicToJpegs(bytes) {
+    const images = await heicConvert.all({ buffer: Buffer.from(bytes), format: 'JPEG', quality: 0.9 });
+    return Promise.all(images.map(async image => Buffer.from(await image.convert())));
+}
+
+// Message content parts for a receipt: the text layer of text-based PDF pages
+// and an image for everything else, one part per page or image. Throws for
+// files that aren't a PDF or an image format the model reads.
+export async function receiptContentParts(bytes, { dpi = DEFAULT_RENDER_DPI, useTextLayer = true } = {}) {
+    const format = detectReceiptFormat(bytes);
+    switch (format) {
+        case 'pdf': {
+            const pages = await readPdfPages(bytes, { dpi, useTextLayer });
+            return pages.flatMap(({ pageNumber, text, image }) => text ?
+                [{ type: 'text', text: `\nPage ${pageNumber} of ${pages.length}, text layer of the PDF:\n${text}\n` }] :
+                [{ type: 'text', text: `\nPage ${pageNumber} of ${pages.length}:\n` }, { type: 'image', image, mimeType: 'image/png' }]);
+        }
+        case 'heic':
+            return (await heicToJpegs(bytes)).map(image => ({ type: 'image', image, mimeType: 'image/jpeg' }));
+        case 'jpeg':
+        case 'png':
+        case 'gif':
+        case 'webp':
+            return [{ type: 'image', image: bytes, mimeType: `image/${format}` }];
+        default:
+            throw new Error('Receipt is not a PDF or a JPEG, PNG, GIF, WebP or HEIC image');
+    }
+}
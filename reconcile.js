@@ -0,0 +1,205 @@
+import { parseArgs } from 'util';
+import * as XLSX from 'xlsx';
+import { readCsv, writeCsv } from './csv_utils.js';
+import { loadFxRates, convertToUsd, normalizeCurrency, subunitsToMajor, parseUsd, DEFAULT_FX_TOLERANCE } from './money.js';
+
+// Checks the receipts extracted during categorization against the HCB
+// transactions they're attached to, and writes every exception to a report.
+//
+// bun reconcile.js [--input processed.csv] [--output reconciliation.xlsx]
+//                  [--fx-tolerance 0.05] [--max-days 7]
+const { values: args } = parseArgs({
+    options: {
+        input: { type: 'string', default: 'processed.csv' },
+        output: { type: 'string', default: 'reconciliation.xlsx' },
+        // Allowed relative difference between receipt and card totals when the
+        // receipt is in another currency
+        'fx-tolerance': { type: 'string', default: String(DEFAULT_FX_TOLERANCE) },
+        // Allowed days between the receipt date and the transaction date
+        'max-days': { type: 'string', default: '7' }
+    }
+});
+
+const fxTolerance = parseFloat(args['fx-tolerance']);
+const maxDays = parseInt(args['max-days']);
+const fxRates = loadFxRates();
+
+const REPORT_COLUMNS = ['transactionId', 'date', 'amount', 'memo', 'issue', 'details', 'receiptVendor', 'receiptDate', 'receiptTotal', 'receiptCurrency'];
+
+// processed.csv has one row per split, reconcile each transaction once
+// against its full card amount
+function loadTransactions(csvPath) {
+    const transactions = new Map();
+    for (const record of readCsv(csvPath)) {
+        if (transactions.has(record.id)) continue;
+        transactions.set(record.id, {
+            ...record,
+            cardAmount: parseUsd(record.splitOf || record.amount)
+        });
+    }
+    return [...transactions.values()];
+}
+
+function receiptsFor(record) {
+    const receipts = [];
+    for (const [key, value] of Object.entries(record)) {
+        if (!key.endsWith('.extracted_contents')) continue;
+        const urlField = key.slice(0, -'.extracted_contents'.length);
+        if (!record[urlField]) continue;
+
+        let extracted = null;
+        try {
+            extracted = value ? JSON.parse(value) : null;
+        } catch {
+            extracted = { error: 'Extracted contents are not valid JSON' };
+        }
+        receipts.push({
+            urlField,
+            url: record[urlField],
+            extracted,
+            status: record[`${urlField}.extraction_status`] || null,
+            detail: record[`${urlField}.extraction_detail`] || ''
+        });
+    }
+    return receipts;
+}
+
+// Same vendor, date, total and currency means the same receipt, even when it
+// was uploaded again under a different URL
+function receiptFingerprint(receipt) {
+    const { vendor_name, date, total_amount_subunits, currency } = receipt;
+    if (total_amount_subunits === undefined || !date) return null;
+    return [String(vendor_name || '').trim().toLowerCase(), date, total_amount_subunits, currency || ''].join('|');
+}
+
+function reconcile(transactions) {
+    const exceptions = [];
+    const fingerprints = new Map();
+
+    for (const transaction of transactions) {
+        const addException = (issue, details, receipt = {}) => exceptions.push({
+            transactionId: transaction.id,
+            date: transaction.date,
+            amount: transaction.splitOf || transaction.amount,
+            memo: transaction.memo || transaction.description || '',
+            issue,
+            details,
+            receiptVendor: receipt.vendor_name || '',
+            receiptDate: receipt.date || '',
+            receiptTotal: receipt.total_amount_subunits ?? '',
+            receiptCurrency: receipt.currency || ''
+        });
+
+        const receipts = receiptsFor(transaction);
+
+        // Only money going out needs a receipt
+        if (receipts.length === 0) {
+            if (transaction.cardAmount < 0) {
+                addException('missing_receipt', 'No receipt attached to this expense');
+            }
+            continue;
+        }
+
+        const extracted = [];
+        for (const { urlField, url, extracted: receipt, status, detail } of receipts) {
+            if (status === 'not_a_receipt') {
+                addException('not_a_receipt', `${urlField} isn't a receipt: ${detail || url}`);
+                continue;
+            }
+            if (status === 'download_failed') {
+                addException('receipt_download_failed', `${urlField} couldn't be downloaded: ${detail || url}`);
+                continue;
+            }
+            if (status === 'unreadable' || status === 'error') {
+                addException('unreadable_receipt', `${urlField} couldn't be read: ${detail || url}`);
+                continue;
+            }
+            // Rule-categorized transactions skip extraction entirely
+            if (!receipt) {
+                addException('receipt_not_extracted', `${urlField} was never extracted: ${url}`);
+                continue;
+            }
+            // Files from before extraction_status kept the model's error in the contents
+            if (receipt.error || receipt.total_amount_subunits === undefined) {
+                addException('unreadable_receipt', `No total could be extracted from ${urlField}: ${receipt.error || url}`);
+                continue;
+            }
+            extracted.push(receipt);
+
+            const fingerprint = receiptFingerprint(receipt);
+            if (fingerprint) {
+                const seenOn = fingerprints.get(fingerprint) || [];
+                if (seenOn.length > 0 && !seenOn.includes(transaction.id)) {
+                    addException('reused_receipt', `Same receipt is attached to ${seenOn.join(', ')}`, receipt);
+                }
+                fingerprints.set(fingerprint, [...new Set([...seenOn, transaction.id])]);
+            }
+
+            if (receipt.date && transaction.date) {
+                const days = Math.abs(new Date(transaction.date) - new Date(receipt.date)) / (24 * 60 * 60 * 1000);
+                if (isNaN(days)) {
+                    addException('date_out_of_range', `Receipt date "${receipt.date}" couldn't be parsed`, receipt);
+                } else if (days > maxDays) {
+                    addException('date_out_of_range', `Receipt is ${Math.round(days)} days from the transaction (max ${maxDays})`, receipt);
+                }
+            }
+        }
+
+        if (extracted.length === 0) continue;
+
+        // Compare the receipts' combined total with the card amount. Receipts
+        // in another currency are converted with the rate on the receipt date
+        // and only need to be within the FX tolerance, since the card network
+        // rate differs from the table's.
+        const currency = normalizeCurrency(extracted[0].currency);
+        if (extracted.some(receipt => normalizeCurrency(receipt.currency) !== currency)) {
+            addException('total_mismatch', 'Receipts are in different currencies', extracted[0]);
+            continue;
+        }
+        const foreign = currency !== 'USD';
+        const receiptAmount = subunitsToMajor(extracted.reduce((sum, receipt) => sum + receipt.total_amount_subunits, 0), currency);
+        const receiptTotal = convertToUsd(fxRates, receiptAmount, currency, extracted[0].date || transaction.date);
+        if (receiptTotal === null) {
+            addException('total_mismatch', `No USD rate for ${currency} in the FX rates table, can't compare totals`, extracted[0]);
+            continue;
+        }
+        const cardTotal = Math.abs(transaction.cardAmount);
+        const difference = Math.abs(receiptTotal - cardTotal);
+        const allowed = foreign ? cardTotal * fxTolerance : 0.01;
+        if (difference > allowed) {
+            addException(
+                'total_mismatch',
+                `Receipts total ${receiptTotal.toFixed(2)} USD` +
+                    (foreign ? ` (${receiptAmount} ${currency})` : '') +
+                    ` vs card ${cardTotal.toFixed(2)}` +
+                    (foreign ? ` (beyond ${fxTolerance * 100}% FX tolerance)` : ''),
+                extracted[0]
+            );
+        }
+    }
+
+    return exceptions;
+}
+
+function writeReport(exceptions, outputPath) {
+    const rows = exceptions.map(exception => REPORT_COLUMNS.map(column => exception[column]));
+
+    if (outputPath.toLowerCase().endsWith('.csv')) {
+        writeCsv(outputPath, REPORT_COLUMNS, rows);
+    } else {
+        const wb = XLSX.utils.book_new();
+        const ws = XLSX.utils.aoa_to_sheet([REPORT_COLUMNS, ...rows]);
+        ws['!cols'] = REPORT_COLUMNS.map(column => ({ wch: ['details', 'memo'].includes(column) ? 50 : 15 }));
+        XLSX.utils.book_append_sheet(wb, ws, 'Exceptions');
+        XLSX.writeFile(wb, outputPath);
+    }
+}
+
+const transactions = loadTransactions(args.input);
+const exceptions = reconcile(transactions);
+writeReport(exceptions, args.output);
+
+const counts = {};
+exceptions.forEach(({ issue }) => counts[issue] = (counts[issue] || 0) + 1);
+console.log(`Checked ${transactions.length} transactions, found ${exceptions.length} exceptions`, counts);
+console.log(`Exceptions report has been written to ${args.output}`);
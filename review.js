@@ -0,0 +1,133 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import {
+    askQuestion,
+    categorizeWithAnswer,
+    categorizeWithValidation,
+    allocateSplits,
+    learnRuleFromAnswer,
+    printTransactionDetails,
+    saveProcessedTransaction
+} from './index.js';
+import { readCsv, writeCsv } from './csv_utils.js';
+import { loadReviewQueue, removeFromReviewQueue, reviveQueuedTransaction } from './review_queue.js';
+
+// Resume the second categorization pass for a queued transaction and move it
+// from the review queue into processed.csv, or outputPath. Stays queued if the
+// model still can't produce a valid account from the answer.
+async function resolveQueuedTransaction(item, answer, outputPath) {
+    const transaction = reviveQueuedTransaction(item);
+    const categorization = await categorizeWithValidation(
+        transaction,
+        feedback => categorizeWithAnswer(transaction, item.question, answer, feedback)
+    );
+    if (!categorization.valid) {
+        console.warn(`No valid account for ${item.transactionId} after answer "${answer}", leaving it in the queue`);
+        return false;
+    }
+
+    categorization.splits = allocateSplits(transaction, categorization);
+    saveProcessedTransaction(transaction, categorization, { outputPath });
+    removeFromReviewQueue(item.transactionId);
+    learnRuleFromAnswer(transaction, categorization.accountId);
+    console.log(`Categorized ${item.transactionId} as ${transaction.accountName} (${categorization.accountId})`);
+    return true;
+}
+
+// Walk the queue on the terminal, one question at a time. With dryRun the
+// queued questions are only listed.
+export async function reviewInteractively({ outputPath, dryRun = false } = {}) {
+    const queue = loadReviewQueue();
+    console.log(`${queue.length} transactions waiting for review`);
+
+    let resolved = 0;
+    for (const [index, item] of queue.entries()) {
+        if (dryRun) {
+            console.log(`[${index + 1}/${queue.length}] ${item.transactionId}: ${item.question.thoughtfulQuestion}`);
+            continue;
+        }
+        console.log(`\n[${index + 1}/${queue.length}] Model's tentative account: ${item.tentativeAccountName} (${item.tentativeAccountId})`);
+        printTransactionDetails(reviveQueuedTransaction(item));
+
+        const answer = await askQuestion(item.question);
+        if (!answer) {
+            console.log('No answer given, leaving transaction in the queue\n');
+            continue;
+        }
+        console.log(`\nRecorded answer: ${answer}\n`);
+        if (await resolveQueuedTransaction(item, answer, outputPath)) {
+            resolved++;
+        }
+    }
+    return { queued: queue.length, resolved };
+}
+
+// Answers CSV needs "transactionId" and "answer" columns, rows with a blank
+// answer are left in the queue. With dryRun the answers are only matched up
+// with the queue.
+export async function importAnswers(csvPath, { outputPath, dryRun = false } = {}) {
+    const answers = readCsv(csvPath);
+    const queue = loadReviewQueue();
+
+    let resolved = 0;
+    for (const { transactionId, answer } of answers) {
+        if (!answer) continue;
+
+        const item = queue.find(item => item.transactionId === transactionId);
+        if (!item) {
+            console.warn(`Transaction ${transactionId} is not in the review queue, skipping`);
+            continue;
+        }
+        if (dryRun) {
+            console.log(`Would answer ${transactionId}: ${answer}`);
+            resolved++;
+        } else if (await resolveQueuedTransaction(item, answer, outputPath)) {
+            resolved++;
+        }
+    }
+
+    console.log(`${dryRun ? 'Would resolve' : 'Resolved'} ${resolved} of ${queue.length} queued transactions`);
+    return { queued: queue.length, resolved };
+}
+
+// Write the queue as a CSV that can be filled in and passed back with --answers
+export function exportQueue(csvPath, { dryRun = false } = {}) {
+    const header = ['transactionId', 'date', 'amount', 'memo', 'question', 'options', 'tentativeAccountId', 'tentativeAccountName', 'tentativeConfidence', 'answer'];
+    const rows = loadReviewQueue().map(item => [
+        item.transactionId,
+        item.transaction.date,
+        item.transaction.amount,
+        item.transaction.memo,
+        item.question.thoughtfulQuestion,
+        item.question.multipleChoiceOptions.join(' | '),
+        item.tentativeAccountId,
+        item.tentativeAccountName,
+        item.tentativeConfidence,
+        ''
+    ]);
+
+    if (dryRun) {
+        console.log(`Would export ${rows.length} queued transactions to ${csvPath}`);
+    } else {
+        writeCsv(csvPath, header, rows);
+        console.log(`Exported ${rows.length} queued transactions to ${csvPath}`);
+    }
+    return { queued: rows.length, exported: dryRun ? 0 : rows.length };
+}
+
+if (import.meta.main) {
+    const { values: args } = parseArgs({
+        options: {
+            answers: { type: 'string' },
+            export: { type: 'string' }
+        }
+    });
+
+    if (args.export) {
+        exportQueue(args.export);
+    } else if (args.answers) {
+        await importAnswers(args.answers);
+    } else {
+        await reviewInteractively();
+    }
+}
@@ -0,0 +1,46 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Transactions the model had questions about, parked during a batch run so a
+// human can answer them later without blocking the rest of the run
+export const REVIEW_QUEUE_FILE = 'review_queue.json';
+
+export function loadReviewQueue() {
+    if (!existsSync(REVIEW_QUEUE_FILE)) return [];
+    return JSON.parse(readFileSync(REVIEW_QUEUE_FILE, 'utf-8'));
+}
+
+function saveReviewQueue(queue) {
+    writeFileSync(REVIEW_QUEUE_FILE, JSON.stringify(queue, null, 2));
+}
+
+// Each entry holds the pending question, the model's tentative account and the
+// full transaction (including extracted receipts) so review can pick up from
+// the second categorization pass without re-reading the source CSV
+export function addToReviewQueue({ transactionId, question, tentativeAccountId, tentativeAccountName, tentativeConfidence, transaction }) {
+    const queue = loadReviewQueue().filter(item => item.transactionId !== transactionId);
+    queue.push({
+        transactionId,
+        queuedAt: new Date().toISOString(),
+        question,
+        tentativeAccountId,
+        tentativeAccountName,
+        tentativeConfidence,
+        transaction
+    });
+    saveReviewQueue(queue);
+}
+
+export function removeFromReviewQueue(transactionId) {
+    saveReviewQueue(loadReviewQueue().filter(item => item.transactionId !== transactionId));
+}
+
+export function isQueuedForReview(transactionId) {
+    return loadReviewQueue().some(item => item.transactionId === transactionId);
+}
+
+// Dates come back from JSON as strings, processed.csv expects Date objects
+export function reviveQueuedTransaction(item) {
+    const transaction = { ...item.transaction };
+    transaction.date = transaction.date ? new Date(transaction.date) : null;
+    return transaction;
+}
@@ -0,0 +1,143 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Deterministic categorization rules for recurring merchants, checked before
+// the model is called. A rule looks like
+// { "id": "r1", "accountId": "5430", "enabled": true, "source": "manual",
+//   "match": { "merchant": "AWS", "memo": "^AMAZON WEB", "minAmount": 0, "maxAmount": 500, "tag": "infra", "org": "counterspell-sf" } }
+// All criteria in "match" must hold. Amounts are absolute dollars.
+export const RULES_FILE = 'rules.json';
+
+const MATCH_CRITERIA = ['merchant', 'memo', 'minAmount', 'maxAmount', 'tag', 'org'];
+
+export function loadRules() {
+    if (!existsSync(RULES_FILE)) return [];
+    return JSON.parse(readFileSync(RULES_FILE, 'utf-8'));
+}
+
+function saveRules(rules) {
+    writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2));
+}
+
+// Pull the fields rules can match on out of a transaction, whether it came
+// from the flattened HCB CSV (card_charge.merchant.name, tags1.label, ...) or
+// another source
+export function transactionFacts(transaction) {
+    const valuesWhere = predicate => Object.entries(transaction)
+        .filter(([key, value]) => value && predicate(key.toLowerCase()))
+        .map(([, value]) => String(value));
+
+    let amount = null;
+    if (typeof transaction.amount === 'string' && transaction.amount.includes('$')) {
+        amount = parseFloat(transaction.amount.replace(/[$,]/g, ''));
+    } else if (transaction.amount_cents !== undefined && transaction.amount_cents !== '') {
+        amount = parseFloat(transaction.amount_cents) / 100;
+    }
+
+    return {
+        merchant: valuesWhere(key => key.includes('merchant') && key.endsWith('name'))[0] || null,
+        memo: transaction.memo || transaction.description || '',
+        amount,
+        tags: valuesWhere(key => /^tags\d*(\.label|\.name)?$/.test(key)).flatMap(tags => tags.split(';')),
+        orgs: [transaction.org_id, transaction.org_slug, transaction.org_name].filter(Boolean).map(String)
+    };
+}
+
+function ruleMatches(rule, facts) {
+    const { match } = rule;
+    const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+    if (match.merchant && !(facts.merchant && same(facts.merchant, match.merchant))) return false;
+    if (match.memo && !new RegExp(match.memo, 'i').test(facts.memo)) return false;
+    if (match.minAmount !== undefined && !(facts.amount !== null && Math.abs(facts.amount) >= match.minAmount)) return false;
+    if (match.maxAmount !== undefined && !(facts.amount !== null && Math.abs(facts.amount) <= match.maxAmount)) return false;
+    if (match.tag && !facts.tags.some(tag => same(tag, match.tag))) return false;
+    if (match.org && !facts.orgs.some(org => same(org, match.org))) return false;
+    return true;
+}
+
+// First enabled rule that matches the transaction, or null
+export function findMatchingRule(transaction, rules = loadRules()) {
+    const facts = transactionFacts(transaction);
+    return rules.find(rule => rule.enabled && ruleMatches(rule, facts)) || null;
+}
+
+export function describeRule(rule) {
+    const criteria = Object.entries(rule.match).map(([key, value]) => `${key}=${value}`);
+    return `${rule.id}: ${criteria.join(', ')} -> ${rule.accountId}`;
+}
+
+export function addRule({ accountId, match, description = '', source = 'manual', learnedFrom }) {
+    const criteria = Object.fromEntries(
+        Object.entries(match).filter(([key, value]) => MATCH_CRITERIA.includes(key) && value !== undefined && value !== '')
+    );
+    if (Object.keys(criteria).length === 0) {
+        throw new Error(`A rule needs at least one of: ${MATCH_CRITERIA.join(', ')}`);
+    }
+    if (criteria.memo) {
+        // Fail now rather than on the first transaction
+        new RegExp(criteria.memo, 'i');
+    }
+
+    const rules = loadRules();
+    const nextNumber = Math.max(0, ...rules.map(rule => parseInt(rule.id.slice(1)) || 0)) + 1;
+    const rule = {
+        id: `r${nextNumber}`,
+        accountId,
+        enabled: true,
+        source,
+        description,
+        match: criteria,
+        createdAt: new Date().toISOString(),
+        ...(learnedFrom ? { learnedFrom } : {})
+    };
+    rules.push(rule);
+    saveRules(rules);
+    return rule;
+}
+
+export function setRuleEnabled(ruleId, enabled) {
+    const rules = loadRules();
+    const rule = rules.find(rule => rule.id === ruleId);
+    if (!rule) {
+        throw new Error(`No rule with id ${ruleId}`);
+    }
+    rule.enabled = enabled;
+    saveRules(rules);
+    return rule;
+}
+
+// Seed a rule from a human-confirmed answer: the merchant (or exact memo when
+// there's no merchant) now maps to the confirmed account. An existing rule
+// with the same criteria is pointed at the new account instead, unless it was
+// disabled: that's returned untouched, since someone turned it off on purpose
+// and it takes manage_rules.js enable to turn it back on.
+export function learnRule(transaction, accountId) {
+    const facts = transactionFacts(transaction);
+    let match;
+    if (facts.merchant) {
+        match = { merchant: facts.merchant };
+    } else if (facts.memo) {
+        match = { memo: `^${facts.memo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$` };
+    } else {
+        return null;
+    }
+
+    const rules = loadRules();
+    const existing = rules.find(rule => JSON.stringify(rule.match) === JSON.stringify(match));
+    if (existing) {
+        if (existing.enabled && existing.accountId !== accountId) {
+            existing.accountId = accountId;
+            existing.learnedFrom = transaction.id;
+            saveRules(rules);
+        }
+        return existing;
+    }
+
+    return addRule({
+        accountId,
+        match,
+        description: `Learned from answer on transaction ${transaction.id}`,
+        source: 'learned',
+        learnedFrom: transaction.id
+    });
+}
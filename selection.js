@@ -0,0 +1,38 @@
+// Which orgs and dates a command works on, from the --org, --since and --until
+// flags the CLI commands share.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Throws when since or until isn't a YYYY-MM-DD date or the range is empty
+export function validateDateRange({ since = null, until = null } = {}) {
+    for (const [flag, value] of [['since', since], ['until', until]]) {
+        if (value && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+            throw new Error(`--${flag} must be a date like 2024-07-01`);
+        }
+    }
+    if (since && until && since > until) {
+        throw new Error('--since must not be after --until');
+    }
+}
+
+// YYYY-MM-DD of a Date or a date string
+function dayOf(date) {
+    if (!date) return '';
+    return date instanceof Date ? (isNaN(date) ? '' : date.toISOString().slice(0, 10)) : String(date).slice(0, 10);
+}
+
+// Predicate over transactions or rows with a date and org_id, org_slug or
+// org_name columns. orgs match any of the three. Dates are inclusive.
+export function selectionFilter({ orgs = [], since = null, until = null } = {}) {
+    const wanted = new Set(orgs.map(org => String(org).toLowerCase()));
+    return record => {
+        if (wanted.size > 0 && ![record.org_id, record.org_slug, record.org_name]
+            .some(value => value && wanted.has(String(value).toLowerCase()))) {
+            return false;
+        }
+        const day = dayOf(record.date);
+        if (since && !(day && day >= since)) return false;
+        if (until && !(day && day <= until)) return false;
+        return true;
+    };
+}
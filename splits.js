@@ -0,0 +1,60 @@
+// Splitting one card charge across several accounts using the line items the
+// receipt extraction found, e.g. food, prizes and shipping on one order.
+
+// Numbered line items and taxes from every extracted receipt on a transaction
+export function receiptLineItems(transaction) {
+    const items = [];
+    const taxes = [];
+    for (const [key, receipt] of Object.entries(transaction)) {
+        if (!key.endsWith('.extracted_contents') || !receipt || typeof receipt !== 'object') continue;
+        for (const item of receipt.items_purchased || []) {
+            items.push({ number: items.length + 1, ...item });
+        }
+        taxes.push(...(receipt.taxes || []));
+    }
+    return { items, taxes };
+}
+
+// Line item list for the categorization prompt, so the model can refer to
+// items by number
+export function formatLineItems({ items }) {
+    return items
+        .map(item => `${item.number}. ${item.qty} x ${item.memo} (${item.amount_subunits} subunits)`)
+        .join('\n');
+}
+
+// Allocate the card amount (in cents) across accounts. Items the model didn't
+// assign go to the main account. Taxes are spread over accounts in proportion
+// to their share of the items, then the receipt is scaled to the card amount so
+// FX differences and tips are shared the same way. Any rounding cent goes to
+// the largest allocation so the splits always sum to the card amount.
+// Returns [] when everything lands in one account.
+export function computeSplits(amountCents, mainAccountId, { items, taxes }, lineItemAccounts = []) {
+    const accountByItem = new Map(lineItemAccounts.map(({ item, accountId }) => [item, accountId]));
+
+    const subtotals = new Map();
+    for (const item of items) {
+        const accountId = accountByItem.get(item.number) || mainAccountId;
+        subtotals.set(accountId, (subtotals.get(accountId) || 0) + item.amount_subunits);
+    }
+
+    const itemsTotal = [...subtotals.values()].reduce((sum, subtotal) => sum + subtotal, 0);
+    if (subtotals.size < 2 || itemsTotal <= 0) return [];
+
+    const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount_subunits, 0);
+    const receiptTotal = itemsTotal + taxTotal;
+
+    const splits = [...subtotals].map(([accountId, subtotal]) => {
+        const tax = taxTotal * subtotal / itemsTotal;
+        return {
+            accountId,
+            amountCents: Math.round(amountCents * (subtotal + tax) / receiptTotal)
+        };
+    });
+
+    const remainder = amountCents - splits.reduce((sum, split) => sum + split.amountCents, 0);
+    const largest = splits.reduce((max, split) => Math.abs(split.amountCents) > Math.abs(max.amountCents) ? split : max);
+    largest.amountCents += remainder;
+
+    return splits;
+}
@@ -0,0 +1,148 @@
+// Money moving inside HCB shows up in the export as transfers between funds,
+// once leaving one organization and once arriving in another, and as fiscal
+// sponsorship fees paid to HCB. Consolidated statements drop them so they
+// don't inflate income and expenses.
+
+// Days between the two sides of a transfer
+const MAX_TRANSFER_DAYS = 3;
+
+const FEE_MEMO_PATTERN = /fiscal sponsorship|\bhcb fee\b|\bbank fee\b.*\bhcb\b/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What kind of HCB transaction this is, from its "type" field or from which
+// nested object (donation, invoice, ...) it has. Works on both the raw export
+// and the flattened CSV rows (donation.id, invoice.id, ...).
+export function transactionKind(record) {
+    if (record.type) return String(record.type).toLowerCase();
+    const kinds = ['donation', 'invoice', 'reimbursement', 'expense_payout', 'card_charge', 'transfer', 'check', 'ach_transfer', 'fee'];
+    return kinds.find(kind =>
+        (record[kind] && typeof record[kind] === 'object') ||
+        Object.entries(record).some(([key, value]) => key.startsWith(`${kind}.`) && value !== '')
+    ) || null;
+}
+
+export function isFiscalSponsorshipFee(transaction) {
+    const amount = Number(transaction.amount_cents);
+    return amount < 0 && (transactionKind(transaction) === 'fee' || FEE_MEMO_PATTERN.test(transaction.memo || ''));
+}
+
+// Org ids a transfer names as its sides, when HCB included them
+function transferSides(transaction) {
+    const transfer = transaction.transfer || {};
+    const id = side => side && typeof side === 'object' ? side.id : side;
+    return {
+        fromOrgId: id(transfer.from) || id(transfer.sender) || null,
+        toOrgId: id(transfer.to) || id(transfer.recipient) || null
+    };
+}
+
+// Find transfers between organizations and fiscal sponsorship fees in the
+// all_transactions.json export ([{ id, transactions: [...] }, ...]). Both
+// sides of a transfer carry the same HCB transfer id when HCB gives one;
+// otherwise an outgoing transfer is paired with an incoming one of the same
+// amount within MAX_TRANSFER_DAYS, respecting any from/to orgs HCB names.
+// Returns a Map from transaction id to { type: 'transfer' | 'fee',
+// linkedTransactionId, linkedOrgId }.
+export function linkInternalTransactions(organizations) {
+    const links = new Map();
+    const transfers = organizations.flatMap(org => org.transactions
+        .filter(transaction => transactionKind(transaction) === 'transfer')
+        .map(transaction => ({ orgId: org.id, transaction, date: new Date(transaction.date), ...transferSides(transaction) })));
+
+    const link = (outgoing, incoming) => {
+        links.set(outgoing.transaction.id, { type: 'transfer', linkedTransactionId: incoming.transaction.id, linkedOrgId: incoming.orgId });
+        links.set(incoming.transaction.id, { type: 'transfer', linkedTransactionId: outgoing.transaction.id, linkedOrgId: outgoing.orgId });
+    };
+    const unlinked = side => !links.has(side.transaction.id);
+    const outgoing = transfers.filter(side => side.transaction.amount_cents < 0);
+    const incoming = transfers.filter(side => side.transaction.amount_cents > 0);
+    const sameAmount = (a, b) => a.transaction.amount_cents === -b.transaction.amount_cents;
+
+    // Shared HCB transfer ids first
+    for (const out of outgoing) {
+        const transferId = out.transaction.transfer?.id;
+        if (!transferId) continue;
+        const match = incoming.find(side => unlinked(side) && side.orgId !== out.orgId &&
+            side.transaction.transfer?.id === transferId && sameAmount(side, out));
+        if (match) link(out, match);
+    }
+
+    // Then amount and date, closest date first
+    for (const out of outgoing.filter(unlinked)) {
+        let best = null;
+        let bestDays = Infinity;
+        for (const side of incoming.filter(unlinked)) {
+            if (side.orgId === out.orgId || !sameAmount(side, out)) continue;
+            if (out.toOrgId && out.toOrgId !== side.orgId) continue;
+            if (side.fromOrgId && side.fromOrgId !== out.orgId) continue;
+            const days = Math.abs(side.date - out.date) / DAY_MS;
+            if (days <= MAX_TRANSFER_DAYS && days < bestDays) {
+                best = side;
+                bestDays = days;
+            }
+        }
+        if (best) link(out, best);
+    }
+
+    for (const org of organizations) {
+        for (const transaction of org.transactions) {
+            if (!links.has(transaction.id) && isFiscalSponsorshipFee(transaction)) {
+                links.set(transaction.id, { type: 'fee', linkedTransactionId: null, linkedOrgId: null });
+            }
+        }
+    }
+    return links;
+}
+
+// Entries to leave out of a consolidated statement: fiscal sponsorship fees,
+// and both sides of every transfer between orgs of the same consolidation
+// group. Entries are { date, cardAmount, org, accountId, record } and
+// inGroup(orgA, orgB) says whether two orgs consolidate together.
+// isFee(entry) says whether an entry is booked as a fiscal sponsorship fee.
+// Rows linked by hcb_json_to_csv.js (internal_type, linked_transaction_id)
+// are used as is. Unlinked transfers are paired by amount and date, the same
+// way as in the export.
+export function findEliminations(entries, inGroup, isFee) {
+    const eliminated = new Set();
+    const byId = new Map();
+    for (const entry of entries) {
+        if (!entry.record.id) continue;
+        if (!byId.has(entry.record.id)) byId.set(entry.record.id, []);
+        byId.get(entry.record.id).push(entry);
+    }
+
+    for (const entry of entries) {
+        const { internal_type: type, linked_transaction_id: linkedId } = entry.record;
+        if (type === 'fee' || isFee(entry)) {
+            eliminated.add(entry);
+        } else if (type === 'transfer' && linkedId) {
+            const linked = byId.get(linkedId) || [];
+            if (linked.length > 0 && inGroup(entry.org, linked[0].org)) {
+                eliminated.add(entry);
+            }
+        }
+    }
+
+    const unlinked = entries.filter(entry => entry.org && !entry.record.internal_type &&
+        transactionKind(entry.record) === 'transfer');
+    const incoming = unlinked.filter(entry => entry.cardAmount > 0);
+    for (const outgoing of unlinked.filter(entry => entry.cardAmount < 0)) {
+        let best = null;
+        let bestDays = Infinity;
+        for (const candidate of incoming) {
+            if (eliminated.has(candidate) || candidate.org === outgoing.org || !inGroup(candidate.org, outgoing.org)) continue;
+            if (Math.round(candidate.cardAmount * 100) !== -Math.round(outgoing.cardAmount * 100)) continue;
+            const days = Math.abs(candidate.date - outgoing.date) / DAY_MS;
+            if (days <= MAX_TRANSFER_DAYS && days < bestDays) {
+                best = candidate;
+                bestDays = days;
+            }
+        }
+        if (best) {
+            eliminated.add(outgoing);
+            eliminated.add(best);
+        }
+    }
+    return eliminated;
+}
@@ -0,0 +1,50 @@
+// Bounded parallelism for slow per-item work like fetching or extracting
+// receipts. Rate limits still apply, since every task goes through the same
+// client or model.
+
+// Run fn(item, index) over items with at most `concurrency` tasks running at
+// once, starting them in input order. Returns one promise per item, in input
+// order, so a caller can handle results one by one as soon as each is ready.
+// Once a task fails no new tasks are started, and every item that hadn't
+// started rejects with the same error.
+export function runPool(items, concurrency, fn) {
+    const settlers = items.map(() => {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        // Callers may not be awaiting this one yet when it rejects
+        promise.catch(() => {});
+        return { promise, resolve, reject };
+    });
+
+    let next = 0;
+    let failure = null;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            if (failure) {
+                settlers[index].reject(failure.error);
+                continue;
+            }
+            try {
+                settlers[index].resolve(await fn(items[index], index));
+            } catch (error) {
+                failure ||= { error };
+                settlers[index].reject(error);
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    for (let i = 0; i < workers; i++) worker();
+
+    return settlers.map(settler => settler.promise);
+}
+
+// Results of fn over every item, in input order
+export function mapPool(items, concurrency, fn) {
+    return Promise.all(runPool(items, concurrency, fn));
+}